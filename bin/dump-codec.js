@@ -0,0 +1,65 @@
+/**
+ * @author: phytocodes
+ * @see: https://github.com/phytocodes
+ */
+
+import fs from "fs";
+import zlib from "zlib";
+import { spawn, spawnSync } from "child_process";
+import { Duplex, PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+
+// -- ダンプの圧縮形式 --
+// sync.js（バックアップ・復元）と start-dev.js（新規環境への取り込み）で共有する
+export const DUMP_EXTENSIONS = { gzip: ".sql.gz", zstd: ".sql.zst" };
+
+export const isDumpFile = (file) => file.endsWith(".sql") || Object.values(DUMP_EXTENSIONS).some((ext) => file.endsWith(ext));
+
+export const detectCompression = (file) => Object.keys(DUMP_EXTENSIONS).find((f) => file.endsWith(DUMP_EXTENSIONS[f])) || null;
+
+// zstd を扱えるか（Node の zlib が未対応なら zstd コマンドの有無）
+export const canUseZstd = () => Boolean(zlib.createZstdCompress) || !spawnSync("zstd", ["--version"], { stdio: "ignore" }).error;
+
+// zstd コマンドを Duplex として使う
+// 起動失敗と異常終了はストリームのエラーとして伝え、終了コードを確認するまで出力を閉じない
+const spawnZstd = (decompress) => {
+	const proc = spawn("zstd", [decompress ? "-dc" : "-c", "-q"], { stdio: ["pipe", "pipe", "inherit"] });
+	const output = new PassThrough();
+	const duplex = Duplex.from({ writable: proc.stdin, readable: output });
+	proc.stdout.pipe(output, { end: false });
+	proc.on("error", (err) => {
+		duplex.destroy(err.code === "ENOENT" ? new Error("zstd command not found. Install zstd or use gzip compression.") : err);
+	});
+	proc.on("close", (code) => {
+		if (code === 0) {
+			output.end();
+		} else if (!duplex.destroyed) {
+			duplex.destroy(new Error(`zstd exited with ${code}`));
+		}
+	});
+	return duplex;
+};
+
+// zstd は Node の zlib が未対応なら zstd コマンドにフォールバック
+export const createCodecStream = (format, decompress = false) => {
+	if (format === "gzip") return decompress ? zlib.createGunzip() : zlib.createGzip();
+	const native = decompress ? zlib.createZstdDecompress : zlib.createZstdCompress;
+	return native ? native() : spawnZstd(decompress);
+};
+
+// 拡張子に応じて圧縮しながらダンプを書き出す
+export const writeDump = (readable, dumpPath, transforms = []) => {
+	const format = detectCompression(dumpPath);
+	const stages = format ? [...transforms, createCodecStream(format)] : transforms;
+	return pipeline(readable, ...stages, fs.createWriteStream(dumpPath));
+};
+
+// 拡張子に応じて伸長しながらダンプを読み出す（読み込みエラーも返すストリームに伝える）
+export const readDump = (dumpPath) => {
+	const input = fs.createReadStream(dumpPath);
+	const format = detectCompression(dumpPath);
+	if (!format) return input;
+	const codec = createCodecStream(format, true);
+	input.on("error", (err) => codec.destroy(err));
+	return input.pipe(codec);
+};
@@ -8,9 +8,40 @@
 import { sync, spawn } from 'cross-spawn';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
+import { parseArgs } from 'util';
+import { createUploadsProxy } from './uploads-proxy.js';
+import { isDumpFile, detectCompression, canUseZstd, readDump } from './dump-codec.js';
 
 // --- 1. 定数と初期設定 ---
 
+const USAGE = `Usage: wp-start-dev [--keep-env]
+       wp-start-dev --stop
+
+  --keep-env  Leave wp-env running when this session exits
+  --stop      Stop all wp-start-dev sessions and wp-env`;
+
+let args;
+try {
+	({ values: args } = parseArgs({
+		options: {
+			'keep-env': { type: 'boolean' },
+			stop: { type: 'boolean' },
+			help: { type: 'boolean', short: 'h' },
+		},
+	}));
+} catch (error) {
+	console.error(`Error: ${error.message}\n\n${USAGE}`);
+	process.exit(1);
+}
+if (args.help) {
+	console.log(USAGE);
+	process.exit(0);
+}
+
 // wp-envの実行可能ファイルのパス
 // プロジェクトルートからの相対パスを想定。必要に応じて調整
 const wpEnvPath = path.resolve(process.cwd(), 'node_modules/.bin/wp-env');
@@ -23,75 +54,834 @@ if (!fs.existsSync(wpEnvConfigPath)) {
 	process.exit(1);
 }
 
-// wp-env停止の排他制御フラグ
-let isWpEnvStopped = false;
+// sync.config.json（任意）。dev.uploadsProxy でプロキシを有効にする
+const syncConfigPath = path.resolve(process.cwd(), 'sync.config.json');
+const syncConfig = fs.existsSync(syncConfigPath) ? JSON.parse(fs.readFileSync(syncConfigPath, 'utf8')) : {};
+
+// .wp-env.override.json があれば .wp-env.json に重ねる
+const wpEnvOverridePath = path.resolve(process.cwd(), '.wp-env.override.json');
+const wpEnvConfig = {
+	...JSON.parse(fs.readFileSync(wpEnvConfigPath, 'utf8')),
+	...(fs.existsSync(wpEnvOverridePath) ? JSON.parse(fs.readFileSync(wpEnvOverridePath, 'utf8')) : {}),
+};
+
+// wp-env のポート（環境変数 WP_ENV_PORT / WP_ENV_TESTS_PORT が優先）
+const wpEnvPort = Number(process.env.WP_ENV_PORT || wpEnvConfig.port || 8888);
+const wpEnvTestsPort = Number(process.env.WP_ENV_TESTS_PORT || wpEnvConfig.testsPort || 8889);
+const wordPressUrl = `http://localhost:${wpEnvPort}`;
 
 /**
- * wp-envを安全に停止する関数
- * 二重停止を防ぎ、エラーハンドリングを行う
+ * wp-envを停止する関数
+ * 成功したかどうかを返す
  */
 const stopWpEnv = () => {
-	if (isWpEnvStopped) {
-		return;
-	}
-	isWpEnvStopped = true;
 	console.log('Attempting to stop wp-env...');
 	try {
-		// cross-spawnのsyncで同期的に停止コマンドを実行
-		sync(wpEnvPath, ['stop'], { stdio: 'inherit' });
+		// cross-spawnのsyncで同期的に停止コマンドを実行（失敗しても例外にならないため status を確認）
+		const result = sync(wpEnvPath, ['stop'], { stdio: 'inherit' });
+		if (result.error) {
+			throw result.error;
+		}
+		if (result.status !== 0) {
+			throw new Error(`wp-env stop exited with code ${result.status}.`);
+		}
 		console.log('wp-env stopped successfully.');
+		return true;
 	} catch (error) {
 		console.error('Error stopping wp-env:', error.message);
+		return false;
 	}
 };
 
-// --- 2. wp-envの起動 ---
+// --- 2. セッション管理 ---
 
-console.log('Starting wp-env...');
-try {
-	// cross-spawnのsyncで同期的に起動コマンドを実行
-	sync(wpEnvPath, ['start'], { stdio: 'inherit' });
+/**
+ * 同じプロジェクトで実行中のセッションを記録するファイル
+ * owner: wp-env を起動したセッションの PID、sessions: 接続中を含む全セッションの PID
+ */
+const sessionFilePath = path.resolve(process.cwd(), 'node_modules/.cache/wp-start-dev/sessions.json');
+
+const isAlive = (pid) => {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		return error.code === 'EPERM';
+	}
+};
+
+// 終了済みのセッションは取り除いて読み込む
+const readSessions = () => {
+	let data = {};
+	try {
+		data = JSON.parse(fs.readFileSync(sessionFilePath, 'utf8'));
+	} catch {
+		// 未作成または壊れている場合は空として扱う
+	}
+	const sessions = (data.sessions || []).filter(isAlive);
+	return { owner: sessions.includes(data.owner) ? data.owner : null, sessions };
+};
+
+const writeSessions = (state) => {
+	fs.mkdirSync(path.dirname(sessionFilePath), { recursive: true });
+	fs.writeFileSync(sessionFilePath, `${JSON.stringify(state, null, 2)}\n`);
+};
+
+// 二重解放の排他制御フラグ
+let isWpEnvReleased = false;
+
+/**
+ * このセッションを wp-env から切り離す
+ * wp-env を停止するのは、このセッションが起動（または引き継ぎ）し、他に接続中のセッションがなく、--keep-env でない場合のみ
+ * 他のセッションが残っている場合は、最後に終了したセッションが停止するよう起動元を引き継ぐ
+ */
+const releaseWpEnv = () => {
+	if (isWpEnvReleased) {
+		return;
+	}
+	isWpEnvReleased = true;
+
+	const state = readSessions();
+	const others = state.sessions.filter((pid) => pid !== process.pid);
+	const isOwner = state.owner === process.pid;
+	const nextOwner = isOwner && !args['keep-env'] ? others[0] ?? null : null;
+	writeSessions({ owner: isOwner ? nextOwner : state.owner, sessions: others });
+
+	if (!isOwner) {
+		console.log('wp-env was not started by this session; leaving it running.');
+	} else if (args['keep-env']) {
+		console.log('Leaving wp-env running (--keep-env). Run "wp-start-dev --stop" to stop it.');
+	} else if (nextOwner) {
+		console.log(`wp-env is still used by ${others.length} other session(s); leaving it running. Session PID ${nextOwner} will stop it when it exits.`);
+	} else {
+		stopWpEnv();
+	}
+};
+
+/**
+ * --stop: 実行中のすべてのセッションを終了させてから wp-env を停止する
+ * 先に owner を外し、各セッションが個別に wp-env を停止しないようにする
+ */
+const stopAll = async () => {
+	const { sessions } = readSessions();
+	writeSessions({ owner: null, sessions });
+	for (const pid of sessions) {
+		console.log(`Stopping wp-start-dev session (PID ${pid})...`);
+		try {
+			process.kill(pid, 'SIGINT');
+		} catch {
+			// 既に終了している
+		}
+	}
+
+	// 各セッションの終了を最大 10 秒待つ
+	const deadline = Date.now() + 10000;
+	while (sessions.some(isAlive) && Date.now() < deadline) {
+		await new Promise((resolve) => setTimeout(resolve, 200));
+	}
+	writeSessions({ owner: null, sessions: [] });
+	return stopWpEnv();
+};
+
+// --- 3. ポートの確認 ---
+
+/**
+ * ポートに接続できるかどうかで使用中か判定する
+ * Vite は localhost (::1) のみで待ち受けることがあるため IPv4 / IPv6 の両方を試す
+ */
+const canConnect = (port, host) => new Promise((resolve) => {
+	const socket = net.connect({ port, host });
+	socket.setTimeout(1000);
+	socket.once('connect', () => {
+		socket.destroy();
+		resolve(true);
+	});
+	socket.once('timeout', () => {
+		socket.destroy();
+		resolve(false);
+	});
+	socket.once('error', () => resolve(false));
+});
+
+const isPortInUse = async (port) => (await canConnect(port, '127.0.0.1')) || canConnect(port, '::1');
+
+/**
+ * ポートを使用しているプロセスを調べる
+ * Docker コンテナ → lsof (macOS / Linux) → netstat (Windows) の順に確認し、分からなければ null
+ */
+const findPortHolder = (port) => {
+	const docker = sync('docker', ['ps', '--filter', `publish=${port}`, '--format', '{{.Names}}'], { encoding: 'utf8' });
+	const container = docker.status === 0 ? docker.stdout.trim().split('\n')[0] : '';
+	if (container) {
+		return { name: `Docker container "${container}"`, container };
+	}
+
+	if (process.platform === 'win32') {
+		const netstat = sync('netstat', ['-ano', '-p', 'TCP'], { encoding: 'utf8' });
+		const line = (netstat.stdout || '').split('\n').find((row) => new RegExp(`:${port}\\s.*LISTENING`).test(row));
+		const pid = line?.trim().split(/\s+/).pop();
+		return pid ? { name: `PID ${pid}` } : null;
+	}
+
+	const lsof = sync('lsof', ['-nP', `-iTCP:${port}`, '-sTCP:LISTEN', '-Fpc'], { encoding: 'utf8' });
+	const pid = (lsof.stdout || '').match(/^p(\d+)/m)?.[1];
+	const command = (lsof.stdout || '').match(/^c(.+)/m)?.[1];
+	return pid ? { name: `${command || 'unknown'} (PID ${pid})` } : null;
+};
+
+/**
+ * wp-env・開発プロセス・uploads プロキシのポートが空いているか確認する
+ * wp-env のポートを wp-env 自身のコンテナが使っている場合（起動済み）はそのまま続行する
+ * 他のセッションが接続中なら、使用中の開発プロセス・プロキシのポートはそのセッションのものとみなして共有する
+ * 共有するポートのラベル（プロセス名または 'uploads proxy'）を返す
+ */
+const checkPorts = async () => {
+	const hasOtherSessions = readSessions().sessions.length > 0;
+	const ports = [
+		{ port: wpEnvPort, label: 'wp-env', wpEnv: true },
+		{ port: wpEnvTestsPort, label: 'wp-env tests', wpEnv: true },
+		...processConfigs.filter((config) => config.port).map((config) => ({ port: Number(config.port), label: config.name })),
+	];
+	const proxyOptions = syncConfig.dev?.uploadsProxy;
+	if (proxyOptions && proxyOptions.enabled !== false) {
+		ports.push({ port: proxyOptions.port || 8080, label: 'uploads proxy' });
+	}
+
+	const conflicts = [];
+	const shared = new Set();
+	for (const { port, label, wpEnv } of ports) {
+		if (!(await isPortInUse(port))) {
+			continue;
+		}
+		const holder = findPortHolder(port);
+		if (wpEnv && /wordpress/.test(holder?.container || '')) {
+			console.log(`Port ${port} (${label}) is served by ${holder.name}; wp-env appears to be running already.`);
+			continue;
+		}
+		if (!wpEnv && hasOtherSessions) {
+			console.log(`Port ${port} (${label}) is in use by another wp-start-dev session; sharing it instead of starting ${label}.`);
+			shared.add(label);
+			continue;
+		}
+		conflicts.push(`  - ${port} (${label}): in use by ${holder ? holder.name : 'an unknown process'}`);
+	}
+
+	if (conflicts.length) {
+		console.error('Error: the following ports are already in use:');
+		conflicts.forEach((line) => console.error(line));
+		console.error('Stop those processes or change the ports in .wp-env.json / sync.config.json (dev.processes.<name>.port).');
+		process.exit(1);
+	}
+	return shared;
+};
+
+// --- 4. wp-envの起動・接続と起動待ち ---
+
+const WAIT_INTERVAL_MS = 1000;
+const DEFAULT_READY_TIMEOUT_SEC = 120;
+
+// wp-env の作業ディレクトリ（取得できなければ空文字）
+const wpEnvInstallPath = () => {
+	const result = sync(wpEnvPath, ['install-path'], { encoding: 'utf8' });
+	return result.status === 0 ? result.stdout.trim().split('\n').pop().trim() : '';
+};
+
+// cli コンテナで wp コマンドを実行し、出力を受け取る
+const runWpCli = (wpArgs) => sync(wpEnvPath, ['run', 'cli', 'wp', ...wpArgs], { encoding: 'utf8' });
+
+/**
+ * wp-env が起動済みか確認する
+ * wp-env install-path の作業ディレクトリ名が docker compose のプロジェクト名になる
+ */
+const isWpEnvRunning = () => {
+	const workDir = wpEnvInstallPath();
+	if (!workDir) {
+		return false;
+	}
+	const docker = sync('docker', [
+		'ps',
+		'--filter', `label=com.docker.compose.project=${path.basename(workDir).toLowerCase()}`,
+		'--filter', 'status=running',
+		'--format', '{{.Names}}',
+	], { encoding: 'utf8' });
+	return docker.status === 0 && /wordpress/.test(docker.stdout);
+};
+
+/**
+ * wp-env を起動する。起動済みなら再起動せずに接続する
+ * cross-spawn の sync は失敗しても例外にならないため status を確認する
+ */
+const startWpEnv = () => {
+	const state = readSessions();
+	if (isWpEnvRunning()) {
+		console.log('wp-env is already running; attaching to it.');
+		writeSessions({ owner: state.owner, sessions: [...state.sessions, process.pid] });
+		return;
+	}
+
+	console.log('Starting wp-env...');
+	const result = sync(wpEnvPath, ['start'], { stdio: 'inherit' });
+	if (result.error || result.status !== 0) {
+		console.error('Failed to start wp-env. Check wp-env logs or configuration.');
+		console.error('Error details:', result.error ? result.error.message : `wp-env start exited with code ${result.status}.`);
+		process.exit(1);
+	}
+	writeSessions({ owner: process.pid, sessions: [...state.sessions, process.pid] });
 	console.log('wp-env started successfully.');
-} catch (error) {
-	console.error('Failed to start wp-env. Check wp-env logs or configuration.');
-	console.error('Error details:', error.message);
-	process.exit(1);
-}
+};
+
+/**
+ * WordPress が 200 を返すまで待つ
+ * タイムアウトは sync.config.json の dev.readyTimeout（秒）で変更できる
+ */
+const waitForWordPress = async () => {
+	const timeoutSec = syncConfig.dev?.readyTimeout || DEFAULT_READY_TIMEOUT_SEC;
+	const deadline = Date.now() + timeoutSec * 1000;
+	let lastStatus = 'no response';
+	console.log(`Waiting for WordPress at ${wordPressUrl}...`);
 
-// --- 3. Vite開発サーバーの起動 ---
+	while (Date.now() < deadline) {
+		try {
+			const response = await fetch(wordPressUrl, { redirect: 'follow', signal: AbortSignal.timeout(5000) });
+			if (response.status === 200) {
+				console.log('WordPress is ready.');
+				return true;
+			}
+			lastStatus = `HTTP ${response.status}`;
+		} catch (error) {
+			lastStatus = error.cause?.code || error.message;
+		}
+		await new Promise((resolve) => setTimeout(resolve, WAIT_INTERVAL_MS));
+	}
 
-console.log('Starting Vite development server...');
-const vite = spawn('npm', ['run', 'vite'], { stdio: 'inherit' });
+	console.error(`Error: WordPress did not respond with 200 within ${timeoutSec}s (last result: ${lastStatus}).`);
+	return false;
+};
 
-// --- 4. プロセス終了時のクリーンアップ ---
+// --- 5. 新規環境へのデータベース取り込み ---
 
-// Viteプロセスが終了したときの処理
-vite.on('exit', (code, signal) => {
-	console.log(`Vite process exited with code ${code} and signal ${signal || 'none'}.`);
-	stopWpEnv();
-	process.exit(code || 0);
+// 取り込みを断ったときに記録するオプション（次回から確認しない）
+const SEED_MARKER_OPTION = 'wp_start_dev_seed';
+// インストール直後の投稿（Hello world!、サンプルページ、プライバシーポリシー）
+const DEFAULT_POST_IDS = ['1', '2', '3'];
+const SEED_DIRS = ['sql/local', 'sql/exports'];
+
+/**
+ * インストール直後のままか判定する
+ * 既定の投稿しかなく、マーカーのオプションも無ければ初期状態とみなす
+ */
+const isPristineInstall = () => {
+	if (runWpCli(['option', 'get', SEED_MARKER_OPTION]).status === 0) {
+		return false;
+	}
+	const posts = runWpCli(['post', 'list', '--post_type=any', '--post_status=any', '--format=ids']);
+	if (posts.status !== 0) {
+		return false;
+	}
+	const ids = posts.stdout.split('\n').find((line) => /^[\d ]+$/.test(line.trim()))?.trim().split(/\s+/) || [];
+	return ids.every((id) => DEFAULT_POST_IDS.includes(id));
+};
+
+// sql/local と sql/exports から最新のダンプを探す
+const findLatestDump = () => SEED_DIRS
+	.map((dir) => path.resolve(process.cwd(), dir))
+	.filter((dir) => fs.existsSync(dir))
+	.flatMap((dir) => fs.readdirSync(dir).map((file) => path.join(dir, file)))
+	.filter(isDumpFile)
+	.map((file) => ({ file, mtime: fs.statSync(file).mtimeMs }))
+	.sort((a, b) => b.mtime - a.mtime)[0]?.file || null;
+
+/**
+ * ダンプ内の wp_options から home（無ければ siteurl）の値を取り出す
+ * 置換元のドメインとして使う
+ */
+const findSiteUrlInDump = async (dumpPath) => {
+	const stream = readDump(dumpPath);
+	const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+	let siteUrl = null;
+	for await (const line of lines) {
+		const home = line.match(/'home','([^']+)'/);
+		if (home) {
+			siteUrl = home[1];
+			break;
+		}
+		siteUrl ||= line.match(/'siteurl','([^']+)'/)?.[1] || null;
+	}
+	lines.close();
+	stream.destroy();
+	return siteUrl;
+};
+
+/**
+ * cli コンテナから見える場所（WordPress のルート）を返す
+ * .wp-env.json の core がローカルパスならそのディレクトリ、そうでなければ wp-env が取得したコア
+ */
+const wordPressRootDir = () => {
+	if (typeof wpEnvConfig.core === 'string' && /^[./~]/.test(wpEnvConfig.core)) {
+		return path.resolve(process.cwd(), wpEnvConfig.core);
+	}
+	const workDir = wpEnvInstallPath();
+	return workDir ? path.join(workDir, 'WordPress') : null;
+};
+
+const ask = (question) => new Promise((resolve) => {
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	// 入力待ちの Ctrl+C は readline が受け取るため、通常の SIGINT 処理へ回す
+	rl.on('SIGINT', () => {
+		rl.close();
+		process.kill(process.pid, 'SIGINT');
+	});
+	rl.question(question, (answer) => {
+		rl.close();
+		resolve(answer.trim().toLowerCase());
+	});
 });
 
-// SIGINT (Ctrl+C) の処理
-process.on('SIGINT', () => {
-	console.log('\nReceived SIGINT. Attempting to stop Vite and wp-env...');
-	vite.kill('SIGINT');
+/**
+ * 新規の wp-env に最新のダンプを取り込み、.wp-env.json のローカル URL へ置換する
+ * sync.config.json の dev.seed を false にすると確認しない
+ */
+const seedDatabase = async () => {
+	if (syncConfig.dev?.seed === false || !isPristineInstall()) {
+		return;
+	}
+	const dumpPath = findLatestDump();
+	if (!dumpPath) {
+		return;
+	}
+
+	const relativePath = path.relative(process.cwd(), dumpPath);
+	console.log(`This looks like a fresh WordPress install. Latest dump: ${relativePath}`);
+	if (detectCompression(dumpPath) === 'zstd' && !canUseZstd()) {
+		console.error(`Cannot decompress ${relativePath}: this Node.js has no zstd support and the zstd command was not found. Skipping the import.`);
+		return;
+	}
+
+	if (!process.stdin.isTTY) {
+		console.log('Skipping the import (no TTY). Run wp-start-dev in a terminal to import it.');
+		return;
+	}
+	const answer = await ask('Import it into wp-env? [y/N/never] ');
+	if (answer === 'never') {
+		runWpCli(['option', 'add', SEED_MARKER_OPTION, 'skipped']);
+		console.log(`Recorded the "${SEED_MARKER_OPTION}" option; you will not be asked again for this install.`);
+		return;
+	}
+	if (answer !== 'y' && answer !== 'yes') {
+		return;
+	}
+
+	const rootDir = wordPressRootDir();
+	if (!rootDir || !fs.existsSync(rootDir)) {
+		console.error('Could not locate the WordPress directory shared with wp-env; skipping the import.');
+		return;
+	}
+
+	// 伸長したダンプを cli コンテナの作業ディレクトリ (/var/www/html) に置いて取り込む
+	const seedFile = `wp-start-dev-seed-${process.pid}.sql`;
+	const seedPath = path.join(rootDir, seedFile);
+	try {
+		const fromUrl = await findSiteUrlInDump(dumpPath);
+		await pipeline(readDump(dumpPath), fs.createWriteStream(seedPath));
+
+		console.log(`Importing ${relativePath}...`);
+		const result = sync(wpEnvPath, ['run', 'cli', 'wp', 'db', 'import', seedFile], { stdio: 'inherit' });
+		if (result.error || result.status !== 0) {
+			throw new Error(result.error ? result.error.message : `wp db import exited with code ${result.status}.`);
+		}
+
+		if (fromUrl && fromUrl !== wordPressUrl) {
+			console.log(`Replacing ${fromUrl} → ${wordPressUrl}...`);
+			const replaced = sync(wpEnvPath, [
+				'run', 'cli', 'wp', 'search-replace', fromUrl, wordPressUrl, '--all-tables-with-prefix', '--skip-columns=guid',
+			], { stdio: 'inherit' });
+			if (replaced.error || replaced.status !== 0) {
+				throw new Error(replaced.error ? replaced.error.message : `wp search-replace exited with code ${replaced.status}.`);
+			}
+		} else if (!fromUrl) {
+			console.warn('Could not find the site URL in the dump; skipped search-replace.');
+		}
+		console.log('Database imported successfully.');
+	} catch (error) {
+		console.error(`Failed to import ${relativePath}: ${error.message}`);
+	} finally {
+		fs.rmSync(seedPath, { force: true });
+	}
+};
+
+// --- 6. uploads プロキシの起動（任意） ---
+
+/**
+ * ローカルに無いアップロード画像をリモート環境から取得するプロキシを起動する
+ * sync.config.json の例: "dev": { "uploadsProxy": { "from": "production", "port": 8080, "cache": true } }
+ * cache は true で wp-content/uploads に保存、文字列なら保存先ディレクトリ
+ */
+const startUploadsProxy = () => {
+	const options = syncConfig.dev?.uploadsProxy;
+	if (!options || options.enabled === false) {
+		return null;
+	}
+
+	const environments = syncConfig.environments || {};
+	const remoteName = options.from || Object.keys(environments).find((name) => name !== 'local');
+	const remoteDomain = environments[remoteName]?.domain;
+	if (!remoteDomain) {
+		console.warn(`Uploads proxy disabled: no domain defined for environment "${remoteName}" in sync.config.json.`);
+		return null;
+	}
+
+	const target = environments.local?.domain || wordPressUrl;
+	const port = options.port || 8080;
+	const cacheDir = options.cache === true ? 'wp-content/uploads' : options.cache || null;
+
+	let proxy;
+	try {
+		proxy = createUploadsProxy({
+			target,
+			remote: remoteDomain,
+			cacheDir: cacheDir && path.resolve(process.cwd(), cacheDir),
+			log: (level, message) => (level === 'info' ? console.log : console[level])(`[uploads-proxy] ${message}`),
+		});
+	} catch (error) {
+		// 不正な domain で開発セッション全体を止めない
+		console.warn(`Uploads proxy disabled: ${error.message}`);
+		return null;
+	}
+	proxy.on('error', (error) => {
+		console.error(`Uploads proxy failed: ${error.message}`);
+	});
+	proxy.listen(port, () => {
+		console.log(`Uploads proxy running at http://localhost:${port} (missing uploads from ${remoteName}: ${remoteDomain}${cacheDir ? `, cached in ${cacheDir}` : ''}).`);
+	});
+	return proxy;
+};
+
+// --- 7. Vite の hot ファイル ---
+
+const HOT_FILENAME = 'hot';
+const HOT_POLL_INTERVAL_MS = 500;
+
+// テーマ側で dev サーバーとビルド済みファイルを切り替える例
+const HOT_FILE_SNIPPET = `
+// functions.php
+$hot = get_theme_file_path('${HOT_FILENAME}');
+if (file_exists($hot)) {
+	$vite = json_decode(file_get_contents($hot), true);
+	wp_enqueue_script_module('vite-client', $vite['url'] . '/@vite/client', [], null);
+	wp_enqueue_script_module('theme-main', $vite['url'] . '/src/main.js', [], null);
+} else {
+	$manifest = json_decode(file_get_contents(get_theme_file_path('dist/.vite/manifest.json')), true);
+	$entry = $manifest['src/main.js'];
+	wp_enqueue_script_module('theme-main', get_theme_file_uri('dist/' . $entry['file']), [], null);
+	foreach ($entry['css'] ?? [] as $css) {
+		wp_enqueue_style('theme-main-' . md5($css), get_theme_file_uri('dist/' . $css), [], null);
+	}
+}`;
+
+// hot ファイルの書き込み先（null なら作成しない）と、書き込み済みかどうか
+let hotFilePath = null;
+let isHotFileWritten = false;
+let isHotSnippetShown = false;
+
+/**
+ * 有効なテーマのローカルディレクトリを探す
+ * .wp-env.json の mappings / themes、プロジェクト直下の wp-content/themes の順に確認する
+ */
+const findActiveThemeDir = () => {
+	const result = runWpCli(['option', 'get', 'stylesheet']);
+	const slug = result.status === 0
+		? result.stdout.split('\n').map((line) => line.trim()).find((line) => /^[\w.-]+$/.test(line))
+		: null;
+	if (!slug) {
+		return null;
+	}
+
+	const mappings = wpEnvConfig.mappings || {};
+	const candidates = [
+		mappings[`wp-content/themes/${slug}`],
+		mappings['wp-content/themes'] && path.join(mappings['wp-content/themes'], slug),
+		...(wpEnvConfig.themes || []).filter((theme) => path.basename(theme) === slug),
+		path.join('wp-content/themes', slug),
+	];
+	return candidates
+		.filter(Boolean)
+		.map((dir) => path.resolve(process.cwd(), dir))
+		.find((dir) => fs.existsSync(dir)) || null;
+};
+
+/**
+ * hot ファイルの書き込み先を決める
+ * sync.config.json の dev.hotFile でパスを指定でき、false なら作成しない
+ */
+const resolveHotFilePath = () => {
+	const option = syncConfig.dev?.hotFile;
+	if (option === false || !processConfigs.some((config) => config.hot)) {
+		return null;
+	}
+	if (typeof option === 'string') {
+		return path.resolve(process.cwd(), option);
+	}
+	const themeDir = findActiveThemeDir();
+	if (!themeDir) {
+		console.warn('Could not find the active theme directory; the Vite hot file will not be written. Set dev.hotFile in sync.config.json.');
+		return null;
+	}
+	return path.join(themeDir, HOT_FILENAME);
+};
+
+// すべての終了経路から呼ばれるため同期的に削除する
+const removeHotFile = () => {
+	if (!isHotFileWritten) {
+		return;
+	}
+	isHotFileWritten = false;
+	try {
+		fs.rmSync(hotFilePath, { force: true });
+		console.log(`Removed Vite hot file: ${path.relative(process.cwd(), hotFilePath)}`);
+	} catch (error) {
+		console.error(`Failed to remove Vite hot file: ${error.message}`);
+	}
+};
+
+/**
+ * dev サーバーがポートで待ち受けを始めたら hot ファイルを書き込む
+ * プロセスが先に終了した場合は何もしない
+ */
+const writeHotFileWhenReady = async (config, child) => {
+	if (!hotFilePath || !config.port) {
+		return;
+	}
+	while (child.exitCode === null && child.signalCode === null && !isShuttingDown) {
+		if (await isPortInUse(config.port)) {
+			const protocol = config.https ? 'https' : 'http';
+			const hot = { url: `${protocol}://localhost:${config.port}`, protocol, host: 'localhost', port: config.port };
+			fs.writeFileSync(hotFilePath, `${JSON.stringify(hot, null, 2)}\n`);
+			isHotFileWritten = true;
+			console.log(`Wrote Vite hot file: ${path.relative(process.cwd(), hotFilePath)} (${hot.url})`);
+			if (!isHotSnippetShown) {
+				isHotSnippetShown = true;
+				console.log(`Enqueue from the dev server while the hot file exists:${HOT_FILE_SNIPPET}`);
+			}
+			return;
+		}
+		await new Promise((resolve) => setTimeout(resolve, HOT_POLL_INTERVAL_MS));
+	}
+};
+
+// --- 8. 開発プロセスの定義 ---
+
+// 子プロセスの出力に付けるプレフィックスの色
+const COLORS = { cyan: 36, magenta: 35, yellow: 33, green: 32, blue: 34, red: 31, gray: 90 };
+const RESTART_DELAY_MS = 1000;
+const DEFAULT_MAX_RESTARTS = 5;
+
+/**
+ * 起動するプロセス一覧
+ * Vite は既定で含まれ、sync.config.json の dev.processes で追加・上書き（false で無効化）できる
+ * 例: "dev": { "processes": { "tailwind": { "command": "npx @tailwindcss/cli -i src/main.css -o dist/main.css --watch", "restart": "on-failure" } } }
+ * restart: never（既定） | on-failure | always、maxRestarts: 再起動の上限、critical: true なら終了時にセッション全体を終了
+ * port: 起動前に空きを確認し、起動後に URL を表示する（Vite は vite.config の server.port に合わせる）
+ * hot: true なら待ち受け開始後にテーマへ hot ファイルを書き込む（https: true で https の URL）
+ */
+const DEFAULT_PROCESSES = {
+	vite: { command: 'npm run vite', critical: true, port: 5173, hot: true },
+};
+const processConfigs = Object.entries({ ...DEFAULT_PROCESSES, ...syncConfig.dev?.processes })
+	.filter(([, options]) => options !== false)
+	.map(([name, options], index) => ({
+		name,
+		...DEFAULT_PROCESSES[name],
+		...options,
+		color: options.color || Object.keys(COLORS)[index % Object.keys(COLORS).length],
+	}));
+
+// 実行中の子プロセス (name → ChildProcess) と、待機中の再起動タイマー
+const children = new Map();
+const restartTimers = new Set();
+let isShuttingDown = false;
+
+const prefixFor = ({ name, color }) => {
+	const label = `[${name}]`.padEnd(Math.max(...processConfigs.map((p) => p.name.length)) + 2);
+	return process.stdout.isTTY ? `\x1b[${COLORS[color] || COLORS.gray}m${label}\x1b[0m` : label;
+};
+
+// 各行にプレフィックスを付けて出力する
+const pipeWithPrefix = (stream, output, prefix) => {
+	readline.createInterface({ input: stream }).on('line', (line) => {
+		output.write(`${prefix} ${line}\n`);
+	});
+};
+
+/**
+ * 子プロセスへシグナルを送る
+ * シェル経由で起動しているため、POSIX ではプロセスグループごと送る
+ */
+const signalProcess = (child, signal) => {
+	try {
+		if (process.platform === 'win32') {
+			child.kill(signal);
+		} else {
+			process.kill(-child.pid, signal);
+		}
+	} catch {
+		// 既に終了している
+	}
+};
+
+/**
+ * プロセスを起動し、終了時は restart ポリシーに従って再起動する
+ * 出力をプレフィックス付きで中継するため stdin は渡さない（Vite のキーボードショートカットは無効）
+ */
+const startProcess = (config, restarts = 0) => {
+	// 終了処理の開始後は起動しない（detached のため取り残される）
+	if (isShuttingDown) {
+		return;
+	}
+	const prefix = prefixFor(config);
+	console.log(`${prefix} Starting: ${config.command}`);
+	const child = spawn(config.command, [], {
+		shell: true,
+		cwd: config.cwd ? path.resolve(process.cwd(), config.cwd) : process.cwd(),
+		env: { ...process.env, FORCE_COLOR: '1', ...config.env },
+		stdio: ['ignore', 'pipe', 'pipe'],
+		detached: process.platform !== 'win32',
+	});
+	children.set(config.name, child);
+	pipeWithPrefix(child.stdout, process.stdout, prefix);
+	pipeWithPrefix(child.stderr, process.stderr, prefix);
+
+	child.on('error', (error) => {
+		console.error(`${prefix} Failed to start: ${error.message}`);
+	});
+
+	if (config.hot) {
+		writeHotFileWhenReady(config, child);
+	}
+
+	child.on('exit', (code, signal) => {
+		children.delete(config.name);
+		if (config.hot) {
+			removeHotFile();
+		}
+		if (isShuttingDown) {
+			return;
+		}
+
+		const policy = config.restart || 'never';
+		const maxRestarts = config.maxRestarts ?? DEFAULT_MAX_RESTARTS;
+		const shouldRestart = policy === 'always' || (policy === 'on-failure' && code !== 0);
+		if (shouldRestart && restarts < maxRestarts) {
+			console.warn(`${prefix} Exited with code ${code} and signal ${signal || 'none'}. Restarting (${restarts + 1}/${maxRestarts})...`);
+			const timer = setTimeout(() => {
+				restartTimers.delete(timer);
+				startProcess(config, restarts + 1);
+			}, RESTART_DELAY_MS);
+			restartTimers.add(timer);
+			return;
+		}
+
+		console.log(`${prefix} Process exited with code ${code} and signal ${signal || 'none'}.`);
+		if (config.critical) {
+			shutdown(code || 0);
+		}
+	});
+};
+
+// --- 9. プロセス終了時のクリーンアップ ---
+
+/**
+ * すべての子プロセスを止めてから wp-env を切り離して終了する
+ * 5 秒以内に終了しないプロセスは強制終了する
+ */
+const shutdown = (exitCode) => {
+	if (isShuttingDown) {
+		return;
+	}
+	isShuttingDown = true;
+	restartTimers.forEach((timer) => clearTimeout(timer));
+	restartTimers.clear();
+
+	const running = [...children.values()];
+	const finish = () => {
+		removeHotFile();
+		releaseWpEnv();
+		process.exit(exitCode);
+	};
+	if (!running.length) {
+		finish();
+		return;
+	}
 
 	const timeoutId = setTimeout(() => {
-		console.warn('Vite process did not exit gracefully, forcing stop...');
-		vite.kill('SIGKILL');
+		console.warn('Some processes did not exit gracefully, forcing stop...');
+		running.forEach((child) => signalProcess(child, 'SIGKILL'));
+		finish();
 	}, 5000);
 
-	vite.on('exit', () => {
-		clearTimeout(timeoutId);
-		stopWpEnv();
-		process.exit(0);
+	let remaining = running.length;
+	running.forEach((child) => {
+		child.on('exit', () => {
+			remaining--;
+			if (remaining === 0) {
+				clearTimeout(timeoutId);
+				finish();
+			}
+		});
+		signalProcess(child, 'SIGINT');
 	});
+};
+
+// SIGINT (Ctrl+C) の処理
+// 子プロセスは detached（別セッション）のため端末の SIGHUP が届かない。SIGTERM / SIGHUP でも同じく後始末する
+process.on('SIGINT', () => {
+	console.log('\nReceived SIGINT. Attempting to stop dev processes...');
+	shutdown(0);
 });
+for (const signal of ['SIGTERM', 'SIGHUP']) {
+	process.on(signal, () => {
+		console.log(`\nReceived ${signal}. Attempting to stop dev processes...`);
+		shutdown(128 + os.constants.signals[signal]);
+	});
+}
 
 // 未キャッチの例外処理
 process.on('uncaughtException', (err) => {
 	console.error('Uncaught exception detected:', err.stack);
-	stopWpEnv();
+	for (const child of children.values()) {
+		signalProcess(child, 'SIGTERM');
+	}
+	removeHotFile();
+	releaseWpEnv();
 	process.exit(1);
-});
\ No newline at end of file
+});
+
+// --- 10. 起動 ---
+
+if (args.stop) {
+	process.exit((await stopAll()) ? 0 : 1);
+}
+
+const sharedPorts = await checkPorts();
+startWpEnv();
+if (!(await waitForWordPress())) {
+	releaseWpEnv();
+	process.exit(1);
+}
+await seedDatabase();
+if (!sharedPorts.has('uploads proxy')) {
+	startUploadsProxy();
+}
+hotFilePath = resolveHotFilePath();
+
+const ownProcesses = processConfigs.filter((config) => !sharedPorts.has(config.name));
+if (ownProcesses.length) {
+	console.log(`Starting dev processes: ${ownProcesses.map((p) => p.name).join(', ')}...`);
+	ownProcesses.forEach((config) => startProcess(config));
+}
+
+console.log(`\nWordPress: ${wordPressUrl}`);
+processConfigs.filter((config) => config.port).forEach((config) => {
+	const note = sharedPorts.has(config.name) ? ' (another session)' : '';
+	console.log(`${config.name[0].toUpperCase()}${config.name.slice(1)}: ${config.https ? 'https' : 'http'}://localhost:${config.port}${note}`);
+});
+console.log('');
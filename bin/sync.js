@@ -6,63 +6,255 @@
  */
 
 import fs from "fs";
+import os from "os";
 import path from "path";
-import { spawn } from "child_process";
+import { spawn, spawnSync } from "child_process";
+import crypto from "crypto";
 import readline from "readline";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { StringDecoder } from "string_decoder";
+import { pathToFileURL } from "url";
 import { parseArgs } from "node:util";
+import { DUMP_EXTENSIONS, isDumpFile, canUseZstd, writeDump, readDump } from "./dump-codec.js";
 
 // -- 定数と初期設定 --
 const CONFIG_FILENAME = "sync.config.json";
 const DEFAULT_BACKUP_DIR = "sql";
 const LOG_FILENAME = "sync.log";
+const HISTORY_FILENAME = "sync-history.jsonl";
+const PRE_PUSH_PREFIX = "remote-backup-before-push-";
+const LOCK_FILENAME = ".wp-sync.lock";
+const DEFAULT_LOCK_STALE_MINUTES = 180;
+
+// 組み込みのファイル同期ターゲット（wpRoot からの相対パス、flag は -t などの短縮フラグ）
+const BUILTIN_FILE_TARGETS = {
+	themes: { dir: "wp-content/themes", flag: "t" },
+	plugins: { dir: "wp-content/plugins", flag: "p" },
+	// mu-plugins はリモートに存在しない場合がある
+	muplugins: { dir: "wp-content/mu-plugins", deleteMode: true, optional: true, flag: "m" },
+	languages: { dir: "wp-content/languages", flag: "l" },
+	uploads: { dir: "wp-content/uploads", flag: "u" },
+};
 
-// -- 設定ファイル読み込み --
-const configPath = path.join(process.cwd(), CONFIG_FILENAME);
-if (!fs.existsSync(configPath)) {
-	fatal(`❌ ${CONFIG_FILENAME} not found. Please create one in project root.`);
-}
-const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+// ターゲット以外のオプションが使う短縮フラグ（ターゲットの flag には使えない）
+const RESERVED_FLAGS = ["n", "a", "h", "e", "R", "f", "y"];
 
 // -- ログユーティリティ（ローテーション付き） --
 const logFilePath = path.join(process.cwd(), LOG_FILENAME);
 const MAX_LOG_SIZE = 10 * 1024 * 1024; // 10MB
 const MAX_LOG_FILES = 10;
 
+// MAX_LOG_SIZE を超えたら <file>.<timestamp> にローテーションして追記する（sync.log と履歴で共用）
+const appendRotated = (filePath, text) => {
+	if (fs.existsSync(filePath)) {
+		const stats = fs.statSync(filePath);
+		if (stats.size > MAX_LOG_SIZE) {
+			fs.renameSync(filePath, filePath + "." + Date.now());
+		}
+	}
+	fs.appendFileSync(filePath, text);
+
+	// --- ログローテーション処理 ---
+	const dir = path.dirname(filePath);
+	const base = path.basename(filePath);
+	const files = fs.readdirSync(dir)
+		.filter(f => f.startsWith(base + "."))
+		.sort();
+
+	if (files.length > MAX_LOG_FILES) {
+		const excess = files.slice(0, files.length - MAX_LOG_FILES);
+		for (const f of excess) {
+			fs.unlinkSync(path.join(dir, f));
+		}
+	}
+};
+
 const log = (message) => {
 	const timestamp = new Date().toISOString();
 	const logMessage = `[${timestamp}] ${message}\n`;
-	console.log(logMessage.trim());
+	logger.log(logMessage.trim());
 
 	try {
-		if (fs.existsSync(logFilePath)) {
-			const stats = fs.statSync(logFilePath);
-			if (stats.size > MAX_LOG_SIZE) {
-				fs.renameSync(logFilePath, logFilePath + "." + Date.now());
-			}
-		}
-		fs.appendFileSync(logFilePath, logMessage);
+		appendRotated(logFilePath, logMessage);
+	} catch (err) {
+		logger.error("❌ Failed to write log:", err.message);
+	}
+};
+
+// -- 実行モード（CI / JSON 出力） --
+// 0: 成功, 1: 失敗, 2: ユーザーによる中断
+const EXIT_CODES = { ok: 0, failed: 1, aborted: 2 };
+
+const runState = {
+	yes: false,
+	productionConfirmed: false,
+	json: false,
+	command: null,
+	environment: null,
+	startedAt: Date.now(),
+	targets: [],
+	current: null,
+	error: null,
+	// CLI の転送オプション (--partial, --bwlimit など)
+	transfer: {},
+	// 履歴用
+	args: [],
+	from: null,
+	dryRun: false,
+};
+
+// JSON モードでは終了時に結果を stdout へ 1 度だけ出力する（エラー・中断による終了も含む）
+const printRunResult = (code) => {
+	if (!runState.json || !runState.command) return;
+	const status = code === EXIT_CODES.ok ? "ok" : code === EXIT_CODES.aborted ? "aborted" : "failed";
+	process.stdout.write(JSON.stringify({
+		command: runState.command,
+		environment: runState.environment,
+		status,
+		exitCode: code,
+		durationMs: Date.now() - runState.startedAt,
+		targets: runState.targets,
+		error: runState.error,
+	}, null, 2) + "\n");
+};
+
+// -- 実行履歴 --
+// 1 実行を 1 行の JSON として sync-history.jsonl に記録する（sync.log と同じローテーション上限）
+const historyFilePath = path.join(process.cwd(), HISTORY_FILENAME);
+const HISTORY_COMMANDS = ["push", "pull", "promote", "db:export", "db:restore", "db:import", "rollback"];
+
+const gitInfo = () => {
+	const git = (args) => {
+		const result = spawnSync("git", args, { encoding: "utf8" });
+		return result.status === 0 ? result.stdout.trim() : null;
+	};
+	const commit = git(["rev-parse", "HEAD"]);
+	if (!commit) return null;
+	return {
+		commit,
+		branch: git(["rev-parse", "--abbrev-ref", "HEAD"]),
+		dirty: Boolean(git(["status", "--porcelain"])),
+	};
+};
 
-		// --- ログローテーション処理 ---
-		const dir = path.dirname(logFilePath);
-		const base = path.basename(logFilePath);
-		const files = fs.readdirSync(dir)
-			.filter(f => f.startsWith(base + "."))
-			.sort();
+// exit ハンドラから呼ぶため同期的に書き込む
+const recordHistory = (code) => {
+	if (!HISTORY_COMMANDS.includes(runState.command)) return;
+	const entry = {
+		startedAt: new Date(runState.startedAt).toISOString(),
+		durationMs: Date.now() - runState.startedAt,
+		user: os.userInfo().username,
+		host: os.hostname(),
+		git: gitInfo(),
+		command: runState.command,
+		args: runState.args,
+		environment: runState.environment,
+		from: runState.from,
+		dryRun: runState.dryRun,
+		status: code === EXIT_CODES.ok ? "ok" : code === EXIT_CODES.aborted ? "aborted" : "failed",
+		exitCode: code,
+		targets: runState.targets,
+		error: runState.error,
+	};
+	try {
+		appendRotated(historyFilePath, JSON.stringify(entry) + "\n");
+	} catch (err) {
+		logger.error("❌ Failed to write history:", err.message);
+	}
+};
 
-		if (files.length > MAX_LOG_FILES) {
-			const excess = files.slice(0, files.length - MAX_LOG_FILES);
-			for (const f of excess) {
-				fs.unlinkSync(path.join(dir, f));
+// ローテーション済みのファイルも含めて新しい順に読む
+const readHistory = () => {
+	const dir = path.dirname(historyFilePath);
+	const base = path.basename(historyFilePath);
+	return fs.readdirSync(dir)
+		.filter((f) => f === base || f.startsWith(base + "."))
+		.flatMap((f) => fs.readFileSync(path.join(dir, f), "utf8").split("\n"))
+		.filter(Boolean)
+		.flatMap((line) => {
+			try {
+				return [JSON.parse(line)];
+			} catch {
+				return [];
 			}
-		}
+		})
+		.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+// -- エラー --
+// process.exit せずに投げる。CLI は exitCode を終了コードに使う
+export class SyncError extends Error {
+	constructor(message, { code = "SYNC_FAILED", exitCode = EXIT_CODES.failed } = {}) {
+		super(message);
+		this.name = "SyncError";
+		this.code = code;
+		this.exitCode = exitCode;
+	}
+}
+
+// 設定ファイルの欠落・不正
+export class ConfigError extends SyncError {
+	constructor(message) {
+		super(message, { code: "CONFIG_INVALID" });
+		this.name = "ConfigError";
+	}
+}
+
+// 他の実行がリモートをロック中
+export class LockError extends SyncError {
+	constructor(message) {
+		super(message, { code: "LOCKED" });
+		this.name = "LockError";
+	}
+}
+
+// 確認プロンプトで中断された
+export class SyncAbortedError extends SyncError {
+	constructor(message = "Aborted.") {
+		super(message, { code: "ABORTED", exitCode: EXIT_CODES.aborted });
+		this.name = "SyncAbortedError";
+	}
+}
+
+// ターゲット単位で所要時間・転送量・バックアップ・エラーを記録する
+const trackTarget = async (name, fn) => {
+	const result = { target: name, status: "running", durationMs: 0, bytes: 0, backups: [], error: null };
+	const started = Date.now();
+	runState.targets.push(result);
+	runState.current = result;
+	try {
+		await fn();
+		result.status = "ok";
 	} catch (err) {
-		console.error("❌ Failed to write log:", err.message);
+		result.status = err instanceof SyncAbortedError ? "aborted" : "failed";
+		result.error = err.message;
+		throw err;
+	} finally {
+		result.durationMs = Date.now() - started;
+		runState.current = null;
 	}
 };
 
+const recordBackup = (backupPath) => {
+	runState.current?.backups.push(path.relative(process.cwd(), backupPath));
+};
+
+const recordBytes = (bytes) => {
+	if (runState.current && bytes) runState.current.bytes += bytes;
+};
+
+const abort = () => {
+	throw new SyncAbortedError();
+};
+
 // -- ユーティリティ --
 const ask = (q) => {
-	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	if (!process.stdin.isTTY) {
+		fatal(`❌ Input required ("${q.trim()}") but stdin is not a TTY. Use --yes (and --i-know-this-is-production), --latest or --file for non-interactive runs.`);
+	}
+	// JSON モードではプロンプトも stderr に出し、stdout を結果出力用に空けておく
+	const rl = readline.createInterface({ input: process.stdin, output: runState.json ? process.stderr : process.stdout });
 	return new Promise((resolve) =>
 		rl.question(q, (ans) => {
 			rl.close();
@@ -76,12 +268,21 @@ function shellEscape(arg) {
 	return `'${arg.replace(/'/g, `'\\''`)}'`;
 }
 
-function fatal(msg) {
-	console.error(msg);
-	process.exit(1);
+// メッセージ先頭の ❌ は CLI が表示時に付け直す
+function fatal(msg, ErrorType = SyncError) {
+	throw new ErrorType(msg.replace(/^❌\s*/, ""));
 }
 
-const confirm = async ({ message, expected }) => {
+// --yes で y/n を、加えて --i-know-this-is-production で本番の確認フレーズを省略できる
+// createSync({ confirm }) を渡した場合はプロンプトの代わりにそれを呼ぶ
+const confirm = async ({ message, expected, production = false }) => {
+	if (runState.yes && (!production || runState.productionConfirmed)) {
+		logger.log(`${message}(auto-confirmed)`);
+		return true;
+	}
+	if (confirmHandler) {
+		return Boolean(await confirmHandler({ message, expected, production }));
+	}
 	const ans = await ask(message);
 	return ans === expected.toLowerCase();
 };
@@ -89,25 +290,134 @@ const confirm = async ({ message, expected }) => {
 const runAsync = (cmd, args = [], opts = {}) => {
 	return new Promise((resolve, reject) => {
 		if (opts.dryRun) {
-			console.log(`[DRY-RUN] 👉 ${cmd} ${args.join(" ")}`);
+			logger.log(`[DRY-RUN] 👉 ${cmd} ${args.join(" ")}`);
 			return resolve();
 		}
-		console.log(`👉 ${cmd} ${args.join(" ")}`);
-
-		const proc = spawn(cmd, args, { stdio: opts.outputFile ? ["ignore", "pipe", "inherit"] : "inherit" });
+		if (!opts.quiet) logger.log(`👉 ${cmd} ${args.join(" ")}`);
+
+		const piped = opts.outputFile || opts.capture;
+		// JSON モードでは stdout を結果出力用に空けておく
+		const proc = spawn(cmd, args, { stdio: piped ? ["ignore", "pipe", "inherit"] : ["inherit", runState.json ? 2 : "inherit", "inherit"] });
+		const written = opts.outputFile ? writeDump(proc.stdout, opts.outputFile, opts.transforms) : Promise.resolve();
+		// 書き込み側の失敗（容量不足・圧縮や変換の失敗など）は終了を待たずにコマンドを止めて返す
+		written.catch((err) => {
+			proc.kill();
+			reject(err);
+		});
 
-		if (opts.outputFile) {
-			const out = fs.createWriteStream(opts.outputFile);
-			proc.stdout.pipe(out);
-		}
+		// capture 時は stdout を文字列で返す
+		let output = "";
+		if (opts.capture) proc.stdout.on("data", (chunk) => { output += chunk; });
 
 		proc.on("close", (code) =>
-			code === 0 ? resolve() : reject(new Error(`${cmd} exited with ${code}`))
+			code === 0 ? written.then(() => resolve(output), reject) : reject(new Error(`${cmd} exited with ${code}`))
 		);
 		proc.on("error", reject);
 	});
 };
 
+// -- 設定と実行コンテキスト --
+// CLI と createSync() が useContext() で切り替える。モジュール内で 1 つを共有する
+let config = {};
+let logger = console;
+let confirmHandler = null;
+let FILE_TARGETS = {};
+let TARGET_ALIASES = {};
+
+export const loadConfig = (cwd = process.cwd()) => {
+	const configPath = path.join(cwd, CONFIG_FILENAME);
+	if (!fs.existsSync(configPath)) {
+		fatal(`❌ ${CONFIG_FILENAME} not found. Please create one in project root.`, ConfigError);
+	}
+	try {
+		return JSON.parse(fs.readFileSync(configPath, "utf8"));
+	} catch (err) {
+		fatal(`❌ Invalid ${CONFIG_FILENAME}: ${err.message}`, ConfigError);
+	}
+};
+
+// -- ファイル同期ターゲット --
+// config.targets で組み込みターゲットの上書き・追加・無効化 (false) を行う
+// 例: { "fonts": { "dir": "wp-content/fonts", "flag": "F" }, "themes": { "dir": "web/app/themes" }, "languages": false }
+const resolveFileTargets = (overrides = {}) => {
+	const targets = {};
+	for (const [name, target] of Object.entries({ ...BUILTIN_FILE_TARGETS, ...overrides })) {
+		if (target === false) continue;
+		if (name === "database") {
+			fatal(`❌ targets.database is reserved for database sync.`, ConfigError);
+		}
+		const merged = { ...BUILTIN_FILE_TARGETS[name], ...target };
+		if (!merged.dir) {
+			fatal(`❌ targets.${name}.dir is required.`, ConfigError);
+		}
+		if (merged.mode && !(name === "plugins" && ["rsync", "wp-cli"].includes(merged.mode))) {
+			fatal(`❌ targets.${name}.mode "${merged.mode}" is not supported. Only plugins accepts "rsync" or "wp-cli".`, ConfigError);
+		}
+		targets[name] = { ...merged, name };
+	}
+	return targets;
+};
+
+const buildTargetAliases = (targets) => {
+	const aliases = {};
+	for (const [name, target] of Object.entries({ ...targets, database: { flag: "d" } })) {
+		if (!target.flag) continue;
+		if (!/^[a-z]$/i.test(target.flag) || RESERVED_FLAGS.includes(target.flag)) {
+			fatal(`❌ Invalid flag "${target.flag}" for target ${name}. Use a single letter other than ${RESERVED_FLAGS.join(", ")}.`, ConfigError);
+		}
+		if (aliases[target.flag]) {
+			fatal(`❌ Flag "${target.flag}" is used by both ${aliases[target.flag]} and ${name}.`, ConfigError);
+		}
+		aliases[target.flag] = name;
+	}
+	return aliases;
+};
+
+// 設定を検証し、ターゲット定義を解決したコンテキストを作る
+const createContext = ({ config: syncConfig, logger: syncLogger = console, confirm: confirmPrompt = null }) => {
+	if (!syncConfig?.environments) {
+		fatal("❌ config.environments is required.", ConfigError);
+	}
+	const fileTargets = resolveFileTargets(syncConfig.targets);
+	return {
+		config: syncConfig,
+		logger: syncLogger,
+		confirm: confirmPrompt,
+		fileTargets,
+		targetAliases: buildTargetAliases(fileTargets),
+	};
+};
+
+const useContext = (context) => {
+	({ config, logger, confirm: confirmHandler } = context);
+	FILE_TARGETS = context.fileTargets;
+	TARGET_ALIASES = context.targetAliases;
+};
+
+// -- ダンプ圧縮 --
+// zstd が使えないと分かっている場合はダンプを書き始める前に止める
+let zstdChecked = false;
+
+const dumpCompression = () => {
+	const format = config.backups?.compression;
+	if (!format || format === "none") return null;
+	if (!DUMP_EXTENSIONS[format]) {
+		fatal(`❌ Unknown backups.compression "${format}". Use gzip, zstd or none.`, ConfigError);
+	}
+	if (format === "zstd" && !zstdChecked) {
+		if (!canUseZstd()) {
+			fatal(`❌ backups.compression is "zstd" but this Node.js has no zstd support and the zstd command was not found. Install zstd or use gzip.`, ConfigError);
+		}
+		zstdChecked = true;
+	}
+	return format;
+};
+
+// 設定に応じたダンプの拡張子 (.sql / .sql.gz / .sql.zst)
+const dumpExt = () => DUMP_EXTENSIONS[dumpCompression()] || ".sql";
+
+
+const fileTimestamp = () => new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
 
 const resolveBackupDir = (envName, isExportReplace = false) => {
 	const baseDir = path.join(process.cwd(), DEFAULT_BACKUP_DIR);
@@ -119,6 +429,10 @@ const resolveBackupDir = (envName, isExportReplace = false) => {
 };
 
 const normalizeDomain = (urlString) => {
+	// スキームなしの "host:port" は URL として解釈すると host が空になる
+	if (!/^[a-z][a-z\d+.-]*:\/\//i.test(urlString)) {
+		return urlString.replace(/\/$/, "");
+	}
 	try {
 		return new URL(urlString).host;
 	} catch {
@@ -153,63 +467,206 @@ const resolveEnvironment = (cliEnv, config, { requireExplicit = false } = {}) =>
 	fatal(`❌ -e <env> is required. Available: ${envs.join(", ")}`);
 };
 
+// -- SSH 接続 --
+// env.ssh = { host, user, port, identityFile, jumpHost, options }。従来の env.sshAlias（~/.ssh/config のホスト）も使える
+// ssh.host を省略すると sshAlias を接続先にしたまま ssh のオプションだけを足せる
+const isRemote = (env) => Boolean(env.ssh || env.sshAlias);
+
+const sshDestination = (env) => {
+	const host = env.ssh?.host || env.sshAlias;
+	if (!host) {
+		fatal("❌ ssh.host (or sshAlias) is required for remote environments.");
+	}
+	return env.ssh?.user ? `${env.ssh.user}@${host}` : host;
+};
+
+// 接続先より前に置く ssh オプション。options は { Key: value } か ["Key=value"] 形式
+const sshOptions = (env) => {
+	const { port, identityFile, jumpHost, options = {} } = env.ssh || {};
+	const args = [];
+	if (port) args.push("-p", String(port));
+	if (identityFile) args.push("-i", identityFile.replace(/^~(?=\/|$)/, os.homedir()));
+	if (jumpHost) args.push("-J", jumpHost);
+	const entries = Array.isArray(options) ? options : Object.entries(options).map(([key, value]) => `${key}=${value}`);
+	entries.forEach((o) => args.push("-o", o));
+	return args;
+};
+
+// ssh に渡す引数一式（オプション + 接続先 + リモートで実行するコマンド）
+const sshArgs = (env, command) => [...sshOptions(env), sshDestination(env), command];
+
+// rsync の -e に渡すトランスポート。rsync はクォートを解釈するがバックスラッシュは解釈しない
+const rsyncTransport = (env) => {
+	const options = sshOptions(env);
+	if (!options.length) return [];
+	const quote = (arg) => /^[\w@%+=:,./~-]+$/.test(arg) ? arg : `"${arg}"`;
+	return ["-e", ["ssh", ...options].map(quote).join(" ")];
+};
+
+// -- 転送チューニング --
+// env.transfer = { partial, bwlimit, checksum, compress, maxSize, since } と env.transfer.<target> の上書き、
+// さらに CLI フラグ (runState.transfer) の順に重ねる
+const TRANSFER_KEYS = ["partial", "bwlimit", "checksum", "compress", "maxSize", "since"];
+
+const resolveTransfer = (env, target) => {
+	const pick = (source = {}) => Object.fromEntries(TRANSFER_KEYS.filter((k) => source[k] !== undefined).map((k) => [k, source[k]]));
+	return {
+		compress: true,
+		...pick(env.transfer),
+		...pick(env.transfer?.[target.name]),
+		...pick(runState.transfer),
+	};
+};
+
+// since は "12 months" / "12m" / "2y" / "2024-04" の形式。その月以降の YYYY/MM だけを対象にする
+const parseSince = (value) => {
+	const now = new Date();
+	const relative = String(value).trim().match(/^(\d+)\s*(m|months?|y|years?)$/i);
+	if (relative) {
+		const months = Number(relative[1]) * (relative[2][0].toLowerCase() === "y" ? 12 : 1);
+		// 当月を含めて N か月分
+		const cutoff = new Date(now.getFullYear(), now.getMonth() - months + 1, 1);
+		return { year: cutoff.getFullYear(), month: cutoff.getMonth() + 1 };
+	}
+	const absolute = String(value).trim().match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+	if (absolute && Number(absolute[2]) >= 1 && Number(absolute[2]) <= 12) {
+		return { year: Number(absolute[1]), month: Number(absolute[2]) };
+	}
+	fatal(`❌ Invalid since "${value}". Use e.g. "12 months", "2y" or "2024-04".`, ConfigError);
+};
+
+// uploads の YYYY/MM ディレクトリを since 以降に絞る rsync フィルタ（最初にマッチしたルールが優先）
+const sinceFilterArgs = (since) => {
+	const { year, month } = parseSince(since);
+	const now = new Date();
+	const args = [];
+	for (let y = year; y <= now.getFullYear(); y++) {
+		args.push(`--include=/${y}/`);
+		const first = y === year ? month : 1;
+		const last = y === now.getFullYear() ? now.getMonth() + 1 : 12;
+		for (let m = first; m <= last; m++) {
+			args.push(`--include=/${y}/${String(m).padStart(2, "0")}/***`);
+		}
+		args.push(`--exclude=/${y}/*`);
+	}
+	args.push("--exclude=/[0-9][0-9][0-9][0-9]/");
+	return args;
+};
+
+// 転送内容の比較・選別に関わるオプション（status のプレビューでも使う）
+const transferFilterArgs = (transfer, target) => [
+	...(transfer.checksum ? ["--checksum"] : []),
+	...(transfer.maxSize ? [`--max-size=${transfer.maxSize}`] : []),
+	...(transfer.since && target.name === "uploads" ? sinceFilterArgs(transfer.since) : []),
+];
+
+const transferArgs = (transfer, target) => [
+	...(transfer.partial ? ["--partial"] : []),
+	...(transfer.bwlimit ? [`--bwlimit=${transfer.bwlimit}`] : []),
+	...transferFilterArgs(transfer, target),
+];
+
 // -- rsync --
-const syncFiles = async (direction, env, localDir, remoteDir, exclude = [], deleteMode = false, dryRun = false) => {
+const syncFiles = async (direction, env, localDir, remoteDir, exclude = [], deleteMode = false, dryRun = false, transfer = { compress: true }, extraArgs = []) => {
 	const localSource = path.resolve(localDir) + path.sep;
-	const remoteSource = `${env.sshAlias}:${remoteDir}`;
+	const remoteSource = `${sshDestination(env)}:${remoteDir}`;
 
 	// 環境ごとの exclude のみ
 	const fullExclude = [...(env.exclude || []), ...exclude];
 
 	// exclude を --exclude=pattern として展開
 	const rsyncArgs = [
-		"-avz",
+		transfer.compress === false ? "-av" : "-avz",
 		"--no-perms",
 		"--chmod=F644,D755",
 		"--progress",
-		...fullExclude.map((p) => `--exclude=${p}`)
+		...rsyncTransport(env),
+		...fullExclude.map((p) => `--exclude=${p}`),
+		...extraArgs
 	];
 	if (dryRun) rsyncArgs.push("--dry-run");
 	if (deleteMode) rsyncArgs.push("--delete-before");
 
+	// JSON モードでは --stats の出力から転送量を記録
+	const withStats = runState.json && !dryRun;
+	if (withStats) rsyncArgs.push("--stats");
+
+	let output;
 	if (direction === "push") {
 		if (!fs.existsSync(localSource)) {
 			fatal(`❌ Local path not found: ${localSource}`);
 		}
-		await runAsync("rsync", [...rsyncArgs, localSource, remoteSource], { dryRun });
+		output = await runAsync("rsync", [...rsyncArgs, localSource, remoteSource], { dryRun, capture: withStats });
 	} else {
 		if (!fs.existsSync(localSource)) {
 			fs.mkdirSync(localSource, { recursive: true });
 		}
-		await runAsync("rsync", [...rsyncArgs, remoteSource, localSource], { dryRun });
+		output = await runAsync("rsync", [...rsyncArgs, remoteSource, localSource], { dryRun, capture: withStats });
+	}
+	if (withStats) {
+		const match = output.match(/Total bytes (?:sent|received): ([\d,.]+)/g) || [];
+		recordBytes(match.reduce((sum, m) => sum + Number(m.replace(/[^\d]/g, "")), 0));
 	}
 	log(`✅ File sync (${direction}) complete for ${localDir}.`);
 };
 
+// remoteDir は省略時 dir と同じ。相対パスは wpRoot 基準、絶対パスはそのまま使う
+const remoteTargetDir = (env, target) => {
+	const dir = target.remoteDir || target.dir;
+	return path.posix.isAbsolute(dir) ? dir : path.posix.join(env.wpRoot, dir);
+};
+
+// FILE_TARGETS のエントリを同期する（optional なターゲットはリモート側の欠落を許容）
+// 転送しきった場合は true、exit 23 で飛ばした場合は false を返す
+const syncFileTarget = (direction, env, target, localDir = target.dir, dryRun = false) => {
+	const remoteDir = remoteTargetDir(env, target) + "/";
+	const transfer = resolveTransfer(env, target);
+	return syncFiles(direction, env, localDir, remoteDir, target.exclude || [], target.deleteMode || false, dryRun, transfer, transferArgs(transfer, target)).then(() => true, (err) => {
+		if (target.optional && err.message.includes("rsync exited with 23")) {
+			logger.warn(`⚠️ Skipping ${target.dir}: directory not found on remote or partially transferred (${remoteDir})`);
+			return false;
+		}
+		throw err;
+	});
+};
+
 
 // -- DB helpers --
-const pipeProcesses = (srcCmd, srcArgs, snkCmd, snkArgs, dryRun = false) => {
+const pipeProcesses = (srcCmd, srcArgs, snkCmd, snkArgs, dryRun = false, transforms = []) => {
 	if (dryRun) {
-		console.log(`[DRY-RUN] 👉 ${srcCmd} ${srcArgs.join(" ")} -> ${snkCmd} ${snkArgs.join(" ")}`);
+		logger.log(`[DRY-RUN] 👉 ${srcCmd} ${srcArgs.join(" ")} -> ${snkCmd} ${snkArgs.join(" ")}`);
 		return Promise.resolve();
 	}
 	return new Promise((resolve, reject) => {
 		const src = spawn(srcCmd, srcArgs, { stdio: ["ignore", "pipe", "pipe"] });
 		const snk = spawn(snkCmd, snkArgs, { stdio: ["pipe", "pipe", "pipe"] });
 
-		src.stdout.pipe(snk.stdin);
 		src.stderr.pipe(process.stderr);
 		snk.stderr.pipe(process.stderr);
 
 		let srcExited = false, snkExited = false, errorOccurred = false;
+		let bytes = 0;
+		src.stdout.on("data", (chunk) => { bytes += chunk.length; });
+
+		// 変換を挟む場合は pipeline が sink の stdin を閉じる
+		if (transforms.length) {
+			pipeline(src.stdout, ...transforms, snk.stdin).catch((err) => {
+				if (!errorOccurred) { errorOccurred = true; reject(err); }
+			});
+		} else {
+			src.stdout.pipe(snk.stdin);
+		}
 
 		const checkExit = () => {
-			if (srcExited && snkExited && !errorOccurred) resolve();
+			if (srcExited && snkExited && !errorOccurred) {
+				recordBytes(bytes);
+				resolve(bytes);
+			}
 		};
 
 		src.on("close", (code) => {
 			srcExited = true;
-			if (snk.stdin) {
+			if (snk.stdin && !transforms.length) {
 				snk.stdin.end();
 			}
 			if (code !== 0 && !errorOccurred) {
@@ -235,26 +692,31 @@ const pipeProcesses = (srcCmd, srcArgs, snkCmd, snkArgs, dryRun = false) => {
 
 const exportLocalDB = async (wpBin, dumpPath, dryRun = false) => {
 	if (dryRun) {
-		console.log(`[DRY-RUN] 👉 Exporting local DB to ${dumpPath}`);
+		logger.log(`[DRY-RUN] 👉 Exporting local DB to ${dumpPath}`);
 		return;
 	}
 	try {
 		await new Promise((resolve, reject) => {
 			const args = [...wpBin.split(" "), "db", "export", "-", "--allow-root", "--single-transaction", "--quick"];
 			const proc = spawn(args[0], args.slice(1), { stdio: ["ignore", "pipe", "inherit"] });
-			const out = fs.createWriteStream(dumpPath);
-			proc.stdout.pipe(out);
-			proc.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`wp export failed with code ${code}`))));
+			const written = writeDump(proc.stdout, dumpPath);
+			written.catch((err) => {
+				proc.kill();
+				reject(err);
+			});
+			proc.on("close", (code) => (code === 0 ? written.then(resolve, reject) : reject(new Error(`wp export failed with code ${code}`))));
 			proc.on("error", reject);
 		});
+		recordBackup(dumpPath);
 	} catch (err) {
+		fs.rmSync(dumpPath, { force: true });
 		fatal(`❌ Local export failed: ${err.message}`);
 	}
 };
 
 const exportRemoteDB = async (env, dumpPath, dryRun = false, replaceDomain = false) => {
 	if (dryRun) {
-		console.log(`[DRY-RUN] 👉 Exporting remote DB to ${dumpPath}`);
+		logger.log(`[DRY-RUN] 👉 Exporting remote DB to ${dumpPath}`);
 		return;
 	}
 	try {
@@ -267,56 +729,173 @@ const exportRemoteDB = async (env, dumpPath, dryRun = false, replaceDomain = fal
 				wpCmd = `${env.wpBin || "wp"} db export - --single-transaction --quick`;
 			}
 			const cmd = "ssh";
-			const args = [env.sshAlias, `cd ${env.wpRoot} && ${wpCmd}`];
+			const args = sshArgs(env, `cd ${env.wpRoot} && ${wpCmd}`);
 			const proc = spawn(cmd, args, { stdio: ["ignore", "pipe", "inherit"] });
-			const out = fs.createWriteStream(dumpPath);
-			proc.stdout.pipe(out);
-			proc.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`SSH export failed with code ${code}`))));
+			const written = writeDump(proc.stdout, dumpPath);
+			written.catch((err) => {
+				proc.kill();
+				reject(err);
+			});
+			proc.on("close", (code) => (code === 0 ? written.then(resolve, reject) : reject(new Error(`SSH export failed with code ${code}`))));
 			proc.on("error", reject);
 		});
+		recordBackup(dumpPath);
 	} catch (err) {
+		fs.rmSync(dumpPath, { force: true });
 		fatal(`❌ Remote export failed: ${err.message}`);
 	}
 };
 
-const exportDB = async (env, dumpPath, dryRun = false, replaceDomain = null) => {
+// replacements を渡すとダンプをストリーム上で置換してから書き出す（transforms はその前に適用）
+const exportDB = async (env, dumpPath, dryRun = false, replacements = null, transforms = []) => {
 	const wpBin = env.wpBin || "wp"; // ローカル or remote 用 wp コマンド
-	const baseArgs = wpBin.split(" "); // ["npx", "wp-env", "run", "cli", "wp"]
+	const exportArgs = [...wpBin.split(" "), "db", "export", "-", "--allow-root", "--single-transaction", "--quick"];
+	const [cmd, ...args] = isRemote(env)
+		? ["ssh", ...sshArgs(env, `cd ${env.wpRoot} && ${exportArgs.join(" ")}`)]
+		: exportArgs;
 
-	if (env.sshAlias) {
-		// リモートの場合
-		let cmd;
-		if (replaceDomain) {
-			cmd = [...baseArgs, "search-replace", shellEscape(env.domain), shellEscape(replaceDomain), "--all-tables", `--export=-`, "--allow-root"];
-		} else {
-			cmd = [...baseArgs, "db", "export", "-", "--allow-root", "--single-transaction", "--quick"];
+	if (dryRun) {
+		logger.log(`[DRY-RUN] 👉 ${cmd} ${args.join(" ")} -> ${dumpPath}`);
+		return;
+	}
+
+	const replacer = replacements ? createReplaceStream(replacements) : null;
+	try {
+		await runAsync(cmd, args, { outputFile: dumpPath, transforms: [...transforms, ...(replacer ? [replacer] : [])] });
+	} catch (err) {
+		// 途中までのダンプは正常なバックアップに見えるため残さない
+		fs.rmSync(dumpPath, { force: true });
+		if (err instanceof SyncError) throw err;
+		fatal(`❌ DB export failed: ${err.message}`);
+	}
+	if (replacer) printReplacementReport(replacements, replacer.counts);
+};
+
+// ダンプファイルを stdin 経由で wp db import - へ流し込む
+const importDB = async (env, dumpPath, dryRun = false) => {
+	const wpBin = env.wpBin || "wp";
+	const [cmd, ...args] = isRemote(env)
+		? ["ssh", ...sshArgs(env, `cd ${env.wpRoot} && ${wpBin} db import -`)]
+		: [...wpBin.split(" "), "db", "import", "-", "--allow-root"];
+
+	if (dryRun) {
+		logger.log(`[DRY-RUN] 👉 ${dumpPath} -> ${cmd} ${args.join(" ")}`);
+		return;
+	}
+	logger.log(`👉 ${dumpPath} -> ${cmd} ${args.join(" ")}`);
+
+	await new Promise((resolve, reject) => {
+		const proc = spawn(cmd, args, { stdio: ["pipe", "inherit", "inherit"] });
+		pipeline(readDump(dumpPath), proc.stdin).catch((err) => {
+			proc.kill();
+			reject(err);
+		});
+		proc.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`${cmd} import failed with code ${code}`))));
+		proc.on("error", reject);
+	});
+};
+
+// ダンプがどの環境のドメインで書かれたものかをパスから判定する
+const resolveDumpSource = (dumpPath) => {
+	const baseDir = path.join(process.cwd(), DEFAULT_BACKUP_DIR);
+	const rel = path.relative(baseDir, path.resolve(dumpPath));
+	if (rel.startsWith("..") || path.isAbsolute(rel)) return null;
+
+	const [dir, file] = rel.split(path.sep);
+	if (!file) return null;
+	if (dir === "exports") {
+		// <from>-to-<to>-<ts>.sql は <to> のドメインに置換済み
+		const match = file.match(/^.+-to-(.+)-\d{14}\.sql(\.gz|\.zst)?$/);
+		return match ? match[1] : null;
+	}
+	return dir;
+};
+
+// sourceEnv のドメインを持つダンプを新しい順に列挙する
+const listDumps = (sourceEnv) => {
+	const baseDir = path.join(process.cwd(), DEFAULT_BACKUP_DIR);
+	const candidates = [];
+
+	const envDir = path.join(baseDir, sourceEnv);
+	if (fs.existsSync(envDir)) {
+		for (const f of fs.readdirSync(envDir)) {
+			candidates.push(path.join(envDir, f));
 		}
-		const sshArgs = [env.sshAlias, `cd ${env.wpRoot} && ${cmd.join(" ")}`];
+	}
 
-		if (dryRun) {
-			console.log(`[DRY-RUN] 👉 ssh ${sshArgs.join(" ")} -> ${dumpPath}`);
-			return;
+	const exportsDir = path.join(baseDir, "exports");
+	if (fs.existsSync(exportsDir)) {
+		for (const f of fs.readdirSync(exportsDir)) {
+			if (f.includes(`-to-${sourceEnv}-`)) candidates.push(path.join(exportsDir, f));
 		}
+	}
 
-		await runAsync("ssh", sshArgs, { outputFile: dumpPath });
-	} else {
-		// ローカルの場合
-		const args = replaceDomain
-			? [...baseArgs, "search-replace", shellEscape(env.domain), shellEscape(replaceDomain), "--all-tables", `--export=${dumpPath}`, "--allow-root"]
-			: [...baseArgs, "db", "export", dumpPath, "--allow-root", "--single-transaction", "--quick"];
+	return statDumps(candidates);
+};
 
-		if (dryRun) {
-			console.log(`[DRY-RUN] 👉 ${args.join(" ")}`);
-			return;
+const statDumps = (paths) => paths
+	.map((p) => ({ path: p, stat: fs.statSync(p) }))
+	.filter(({ path: p, stat }) => isDumpFile(p) && stat.isFile())
+	.map(({ path: p, stat }) => ({ path: p, mtime: stat.mtimeMs, size: stat.size }))
+	.sort((a, b) => b.mtime - a.mtime);
+
+// -- バックアップ保持ポリシー --
+// backups.retention の keep / maxAgeDays が既定値、環境名 (または exports) のキーで上書き
+const resolveRetention = (dirName) => {
+	const { keep, maxAgeDays, ...perDir } = config.backups?.retention || {};
+	return { keep, maxAgeDays, ...(perDir[dirName] || {}) };
+};
+
+const pruneBackups = ({ envName, dryRun = false } = {}) => {
+	const baseDir = path.join(process.cwd(), DEFAULT_BACKUP_DIR);
+	if (!fs.existsSync(baseDir)) return 0;
+
+	const dirNames = envName
+		? [envName]
+		: fs.readdirSync(baseDir).filter((d) => fs.statSync(path.join(baseDir, d)).isDirectory());
+	const now = Date.now();
+	let pruned = 0;
+
+	for (const dirName of dirNames) {
+		const { keep, maxAgeDays } = resolveRetention(dirName);
+		const dir = path.join(baseDir, dirName);
+		if ((keep == null && maxAgeDays == null) || !fs.existsSync(dir)) continue;
+
+		// 新しい順に keep 件、または maxAgeDays 日以内のものは残す
+		// 最新の push 前スナップショットは rollback に必要なため、件数・日数に関わらず残す
+		const dumps = statDumps(fs.readdirSync(dir).map((f) => path.join(dir, f)));
+		const rollbackSnapshot = dumps.find((d) => path.basename(d.path).startsWith(PRE_PUSH_PREFIX));
+		const expired = dumps
+			.filter((d, i) => {
+				const withinCount = keep != null && i < keep;
+				const withinAge = maxAgeDays != null && now - d.mtime < maxAgeDays * 24 * 60 * 60 * 1000;
+				return !withinCount && !withinAge && d !== rollbackSnapshot;
+			});
+		if (!expired.length) continue;
+
+		const bytes = expired.reduce((sum, d) => sum + d.size, 0);
+		for (const d of expired) {
+			const rel = path.relative(process.cwd(), d.path);
+			if (dryRun) {
+				logger.log(`[DRY-RUN] 🧹 Would delete ${rel}`);
+				continue;
+			}
+			fs.unlinkSync(d.path);
+			logger.log(`🧹 Deleted ${rel}`);
 		}
+		pruned += expired.length;
 
-		await runAsync(args[0], args.slice(1));
+		if (!dryRun) {
+			log(`🧹 Pruned ${expired.length} backup(s) from ${DEFAULT_BACKUP_DIR}/${dirName} (${(bytes / 1024 / 1024).toFixed(1)}MB)`);
+		}
 	}
+
+	return pruned;
 };
 
-const runSearchReplace = async (target, fromDomain, toDomain, wpBin, wpRoot, wpOptions, dryRun = false) => {
+const runSearchReplace = async (target, fromDomain, toDomain, wpBin, wpRoot, wpOptions, dryRun = false, { capture = false } = {}) => {
 	if (dryRun) {
-		console.log(`[DRY-RUN] 👉 ${target} search-replace ${fromDomain} → ${toDomain}`);
+		logger.log(`[DRY-RUN] 👉 ${target === "local" ? target : sshDestination(target)} search-replace ${fromDomain} → ${toDomain}`);
 		return;
 	}
 
@@ -324,23 +903,152 @@ const runSearchReplace = async (target, fromDomain, toDomain, wpBin, wpRoot, wpO
 		const [bin, ...binArgs] = wpBin.split(" ");
 			const needsPathArg = wpBin.trim().startsWith("wp ");
 			const pathArgs = needsPathArg && wpRoot ? [`--path=${wpRoot}`] : [];
-		await runAsync(bin, [...binArgs, ...pathArgs, "search-replace", fromDomain, toDomain, ...wpOptions]);
+		return runAsync(bin, [...binArgs, ...pathArgs, "search-replace", fromDomain, toDomain, ...wpOptions], { capture });
 	} else {
-		await runAsync("ssh", [target, `cd ${wpRoot} && ${wpBin || "wp"} search-replace ${shellEscape(fromDomain)} ${shellEscape(toDomain)} ${wpOptions.join(" ")}`]);
+		return runAsync("ssh", sshArgs(target, `cd ${wpRoot} && ${wpBin || "wp"} search-replace ${shellEscape(fromDomain)} ${shellEscape(toDomain)} ${wpOptions.join(" ")}`), { capture });
 	}
 };
 
-// -- DB Sync --
-const syncDatabase = async (direction, envName, env, localDomain, remoteDomain, dryRun = false) => {
-	const ts = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
-	const localBackupDir = resolveBackupDir("local");
-	const remoteBackupDir = resolveBackupDir(envName);
+// -- 置換ルール --
+// replacements["<from>:<to>"] の順序付きルール + ドメイン置換。逆方向のキーしかなければ反転して使う
+const resolveReplacements = (fromName, toName) => {
+	const pairs = config.replacements || {};
+	const reversed = pairs[`${toName}:${fromName}`];
+	const rules = pairs[`${fromName}:${toName}`]
+		|| (reversed ? reversed.map((r) => ({ from: r.to, to: r.from })).reverse() : []);
+
+	const domainRule = {
+		from: normalizeDomain(config.environments[fromName].domain),
+		to: normalizeDomain(config.environments[toName].domain),
+	};
+
+	// サブサイトのドメイン (env.sites の同じキー同士)。メインドメインの置換後に適用するため、
+	// from にはメインドメイン置換済みの値を使う（shop.example.com → shop.stg.example.com の二重置換を防ぐ）
+	const toSites = config.environments[toName].sites || {};
+	const siteRules = Object.entries(config.environments[fromName].sites || {})
+		.filter(([key]) => toSites[key])
+		.map(([key, domain]) => ({
+			from: normalizeDomain(domain).split(domainRule.from).join(domainRule.to),
+			to: normalizeDomain(toSites[key]),
+		}));
+
+	return [...rules, domainRule, ...siteRules]
+		.filter((r, i, all) => r.from !== r.to && all.findIndex((o) => o.from === r.from && o.to === r.to) === i);
+};
 
-	const wpBinLocal = config.environments.local?.wpBin || config.wpBin || "wp";
+const printReplacementReport = (rules, counts) => {
+	logger.log("📊 Search-replace report:");
+	rules.forEach((r, i) => {
+		const count = counts[i] == null ? "-" : counts[i];
+		logger.log(`  ${i + 1}. ${r.from} → ${r.to}: ${count} change(s)`);
+	});
+};
+
+// ルールを順に wp search-replace で適用し、ルールごとの変更件数を表示する
+const runReplacements = async (target, rules, wpBin, wpRoot, wpOptions, dryRun = false) => {
+	if (!rules.length) return [];
+	const counts = [];
+	for (const rule of rules) {
+		const output = await runSearchReplace(target, rule.from, rule.to, wpBin, wpRoot, [...wpOptions, "--format=count"], dryRun, { capture: true });
+		counts.push(output == null ? null : parseInt(output.trim(), 10) || 0);
+	}
+	if (!dryRun) printReplacementReport(rules, counts);
+	return counts;
+};
+
+// -- シリアライズ対応の置換（SQL ダンプ用） --
+// ダンプ内の文字列は \\ \' \" がエスケープされている
+const escapeSqlString = (str) => str.replace(/[\\'"]/g, (c) => `\\${c}`);
+
+// エスケープ済み文字列 text の start から、アンエスケープ後 bytes バイト分の終端位置を返す
+const scanSerializedBytes = (text, start, bytes) => {
+	let i = start;
+	let count = 0;
+	while (count < bytes) {
+		if (i >= text.length) return -1;
+		if (text[i] === "\\") {
+			i += 2;
+			count += 1;
+			continue;
+		}
+		const cp = text.codePointAt(i);
+		const ch = String.fromCodePoint(cp);
+		count += Buffer.byteLength(ch);
+		i += ch.length;
+	}
+	return count === bytes ? i : -1;
+};
+
+const unescapedByteLength = (text) => Buffer.byteLength(text.replace(/\\(.)/gs, "$1"));
+
+const replacePlain = (text, rules, counts) => rules.reduce((acc, rule, i) => {
+	const parts = acc.split(rule.from);
+	counts[i] += parts.length - 1;
+	return parts.join(rule.to);
+}, text);
+
+// s:N:\"...\"; の中身を置換し、長さ N を付け直す（入れ子のシリアライズにも再帰で対応）
+const replaceSerialized = (text, rules, counts) => {
+	const pattern = /(?<![A-Za-z0-9_])s:(\d+):\\"/g;
+	let out = "";
+	let last = 0;
+	let match;
+
+	while ((match = pattern.exec(text))) {
+		const start = match.index + match[0].length;
+		const end = scanSerializedBytes(text, start, Number(match[1]));
+		if (end < 0 || !text.startsWith('\\";', end)) continue;
+
+		const inner = replaceSerialized(text.slice(start, end), rules, counts);
+		out += replacePlain(text.slice(last, match.index), rules, counts);
+		out += `s:${unescapedByteLength(inner)}:\\"${inner}\\";`;
+		last = end + 3;
+		pattern.lastIndex = last;
+	}
+
+	return out + replacePlain(text.slice(last), rules, counts);
+};
+
+// SQL ダンプを行単位で変換する Transform。mapLine が null を返した行は出力しない
+const createLineTransform = (mapLine, { trailer = () => "" } = {}) => {
+	const decoder = new StringDecoder("utf8");
+	const mapLines = (lines) => lines.map(mapLine).filter((line) => line !== null).map((line) => line + "\n").join("");
+	let pending = "";
+
+	return new Transform({
+		transform(chunk, _encoding, callback) {
+			const text = pending + decoder.write(chunk);
+			const cut = text.lastIndexOf("\n");
+			if (cut < 0) {
+				pending = text;
+				return callback();
+			}
+			pending = text.slice(cut + 1);
+			callback(null, mapLines(text.slice(0, cut).split("\n")));
+		},
+		flush(callback) {
+			const rest = pending + decoder.end();
+			const last = rest ? mapLine(rest) : null;
+			callback(null, (last ?? "") + trailer());
+		},
+	});
+};
+
+// counts にルールごとの置換件数が入る
+const createReplaceStream = (rules) => {
+	const escaped = rules.map((r) => ({ from: escapeSqlString(r.from), to: escapeSqlString(r.to) }));
+	const counts = rules.map(() => 0);
+	const stream = createLineTransform((line) => replaceSerialized(line, escaped, counts));
+	stream.counts = counts;
+	return stream;
+};
+
+// tables を渡すと --all-tables の代わりに対象テーブルを限定する
+const buildSearchReplaceOptions = (dryRun = false, tables = null) => {
 	const wpOptions = [
 		"--precise", "--recurse-objects", "--skip-columns=guid",
 		"--report-changed-only", "--skip-plugins", "--skip-themes",
-		"--all-tables", "--allow-root"
+		...(tables || ["--all-tables"]), "--allow-root"
 	];
 
 	if (dryRun) wpOptions.push("--dry-run");
@@ -348,65 +1056,812 @@ const syncDatabase = async (direction, envName, env, localDomain, remoteDomain,
 	const multisite = config.multisite || false;
 	if (multisite) wpOptions.push("--network");
 
+	return wpOptions;
+};
+
+// ローカル or リモートで wp コマンドを実行し stdout を返す
+const captureWp = (envName, env, args, quiet = false) => {
+	if (envName === "local") {
+		const wpBin = env.wpBin || config.wpBin || "wp";
+		const [bin, ...binArgs] = wpBin.split(" ");
+		return runAsync(bin, [...binArgs, ...args, "--allow-root"], { capture: true, quiet });
+	}
+	return runAsync("ssh", sshArgs(env, `cd ${env.wpRoot} && ${env.wpBin || "wp"} ${args.map(shellEscape).join(" ")}`), { capture: true, quiet });
+};
+
+// -- テーブル絞り込み --
+const globToRegExp = (glob) =>
+	new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+
+// --tables=users,usermeta,!wc_sessions のような CLI 指定を include / exclude に分解
+const parseTablesOption = (value) => {
+	const patterns = value.split(",").map((p) => p.trim()).filter(Boolean);
+	return {
+		include: patterns.filter((p) => !p.startsWith("!")),
+		exclude: patterns.filter((p) => p.startsWith("!")).map((p) => p.slice(1)),
+	};
+};
+
+// env.tables.{include,exclude} に env.tables.<direction> の指定を重ねる
+// site (blog_id) を渡すとマルチサイトのそのサイトのテーブルに限定する
+const resolveTableFilter = (env, direction, cliTables, site = null) => {
+	if (cliTables) return { ...parseTablesOption(cliTables), site };
+	const { include = [], exclude = [], ...byDirection } = env.tables || {};
+	const scoped = byDirection[direction] || {};
+	return {
+		include: scoped.include || include,
+		exclude: [...exclude, ...(scoped.exclude || [])],
+		site,
+	};
+};
+
+// 取得元のテーブル一覧にフィルタを適用する。パターンはテーブル名そのもの、または接頭辞を除いた名前にマッチ
+// 絞り込み不要なら null を返す
+const selectTables = async (envName, env, filter) => {
+	if (!filter.include.length && !filter.exclude.length && !filter.site) return null;
+
+	const tables = (await captureWp(envName, env, ["db", "tables", "--all-tables-with-prefix"]))
+		.split("\n").map((t) => t.trim()).filter(Boolean);
+	const prefix = (await captureWp(envName, env, ["db", "prefix"])).trim();
+
+	const matches = (table, patterns) => patterns.some((p) => {
+		const re = globToRegExp(p);
+		return re.test(table) || (prefix && table.startsWith(prefix) && re.test(table.slice(prefix.length)));
+	});
+
+	const selected = tables.filter((t) =>
+		(!filter.site || isSiteTable(t, prefix, filter.site))
+		&& (!filter.include.length || matches(t, filter.include)) && !matches(t, filter.exclude)
+	);
+	if (!selected.length) {
+		fatal(`❌ No tables on ${envName} match the tables filter.`);
+	}
+	logger.log(`📋 Syncing ${selected.length} of ${tables.length} table(s) from ${envName}.`);
+	return selected;
+};
+
+// -- マルチサイト --
+// ネットワーク共通テーブル（接頭辞なし）。メインサイト (blog_id 1) の同期から除外する
+const MULTISITE_GLOBAL_TABLES = ["users", "usermeta", "blogs", "blogmeta", "site", "sitemeta", "signups", "registration_log", "blog_versions"];
+
+// blog_id 1 は wp_posts など番号なし、それ以外は wp_<id>_posts
+const isSiteTable = (table, prefix, blogId) => {
+	if (!prefix || !table.startsWith(prefix)) return false;
+	const name = table.slice(prefix.length);
+	return blogId === 1
+		? !/^\d+_/.test(name) && !MULTISITE_GLOBAL_TABLES.includes(name)
+		: name.startsWith(`${blogId}_`);
+};
+
+// --site=<slug|blog_id> を wp site list で blog_id に解決する
+// slug はサブディレクトリ型ならパス、サブドメイン型なら先頭のラベル。env.sites のキーも使える
+const resolveSite = async (envName, env, site) => {
+	if (!config.multisite) {
+		fatal("❌ --site requires multisite: true in sync.config.json.");
+	}
+	const sites = JSON.parse(await captureWp(envName, env, ["site", "list", "--fields=blog_id,domain,path", "--format=json"], true));
+	const mappedDomain = env.sites?.[site] && normalizeDomain(env.sites[site]);
+	const slugOf = (s) => s.path.replace(/^\/|\/$/g, "") || s.domain.split(".")[0];
+	const match = sites.find((s) => String(s.blog_id) === String(site) || slugOf(s) === site || s.domain === mappedDomain);
+	if (!match) {
+		fatal(`❌ Site "${site}" not found on ${envName}. Use a blog_id or slug from \`wp site list\`.`);
+	}
+	logger.log(`🌐 Site "${site}" on ${envName}: blog_id ${match.blog_id} (${match.domain}${match.path})`);
+	// key は環境をまたいで同じサイトかを比べるための名前（sites の対応表のキー、無ければスラッグ）
+	const key = Object.keys(env.sites || {}).find((k) => normalizeDomain(env.sites[k]) === match.domain) || slugOf(match);
+	return { blogId: Number(match.blog_id), key, label: `${match.domain}${match.path}` };
+};
+
+// --site は取得元と送り先の両方で解決する
+// テーブル接頭辞 (wp_<id>_) と uploads/sites/<id> をそのまま使うため、blog_id が異なる場合は別サイトを上書きしないよう中止する
+const resolveSitePair = async (direction, envName, env, site) => {
+	const local = config.environments.local || {};
+	const [fromName, fromEnv, toName, toEnv] = direction === "push"
+		? ["local", local, envName, env]
+		: [envName, env, "local", local];
+	const source = await resolveSite(fromName, fromEnv, site);
+	const dest = await resolveSite(toName, toEnv, site);
+	if (source.blogId !== dest.blogId) {
+		fatal(`❌ Site "${site}" is blog_id ${source.blogId} on ${fromName} but ${dest.blogId} on ${toName}. --site needs the same blog_id on both sides; sync the whole network instead.`);
+	}
+	if (source.blogId !== 1 && source.key !== dest.key) {
+		fatal(`❌ blog_id ${source.blogId} is "${source.key}" (${source.label}) on ${fromName} but "${dest.key}" (${dest.label}) on ${toName}. Refusing to overwrite a different site; map both in sites.<slug> if they are the same site.`);
+	}
+	return source.blogId;
+};
+
+// uploads はサイトごとに sites/<id> 以下、メインサイトは sites/ 以外
+const siteFileTarget = (target, blogId) => {
+	if (blogId === 1) {
+		return { ...target, exclude: [...(target.exclude || []), "/sites/"] };
+	}
+	const subDir = (dir) => path.posix.join(dir, "sites", String(blogId));
+	return {
+		...target,
+		dir: subDir(target.dir),
+		...(target.remoteDir && { remoteDir: subDir(target.remoteDir) }),
+	};
+};
+
+// -- サニタイズ --
+// 組み込みルール。table は接頭辞なしの名前、where は列ごとの値リスト or 正規表現、set は列ごとの値 or 行から値を返す関数
+const SANITIZE_RULES = {
+	users: [
+		{
+			table: "users",
+			set: {
+				user_email: (row) => `user${row.ID}@example.test`,
+				user_nicename: (row) => `user-${row.ID}`,
+				display_name: (row) => `User ${row.ID}`,
+				user_url: "",
+			},
+		},
+		{ table: "usermeta", where: { meta_key: ["first_name", "last_name", "nickname", "description"] }, set: { meta_value: "" } },
+	],
+	passwords: [
+		// MD5 ハッシュは WordPress がログイン時に再ハッシュする
+		{ table: "users", set: { user_pass: (_row, opts) => crypto.createHash("md5").update(opts.password).digest("hex") } },
+	],
+	woocommerce: [
+		{ table: "wc_order_addresses", drop: true },
+		{ table: "wc_customer_lookup", drop: true },
+		{ table: "wc_orders", set: { billing_email: "", ip_address: "", user_agent: "" } },
+		{ table: "usermeta", where: { meta_key: /^(billing|shipping)_/ }, set: { meta_value: "" } },
+		{ table: "postmeta", where: { meta_key: /^_(billing|shipping)_|^_customer_(ip_address|user_agent)$/ }, set: { meta_value: "" } },
+	],
+	transients: [
+		{ table: "options", where: { option_name: /^_(site_)?transient_/ }, drop: true },
+	],
+};
+
+// env.sanitize が true なら組み込みルールをすべて適用
+const resolveSanitizeProfile = (env) => {
+	const profile = env.sanitize === true ? {} : env.sanitize;
+	if (!profile) return null;
+	return {
+		rules: profile.rules || Object.keys(SANITIZE_RULES),
+		password: profile.password || "password",
+	};
+};
+
+const describeSanitizeRule = (rule) => typeof rule === "string" ? rule : rule.sql ? `sql: ${rule.sql}` : `wp: ${rule.wp}`;
+
+const SQL_UNESCAPES = { "0": "\0", b: "\b", n: "\n", r: "\r", t: "\t", Z: "\x1a" };
+
+const sqlUnquote = (raw) => raw === "NULL" ? null
+	: raw.startsWith("'") ? raw.slice(1, -1).replace(/\\(.)/gs, (_m, c) => SQL_UNESCAPES[c] ?? c)
+		: raw;
+
+const sqlQuote = (value) => value === null ? "NULL"
+	: `'${String(value).replace(/[\\'"\0\n\r\x1a]/g, (c) => ({ "\0": "\\0", "\n": "\\n", "\r": "\\r", "\x1a": "\\Z" })[c] || `\\${c}`)}'`;
+
+// INSERT INTO `t` VALUES (...),(...); の値部分をタプルの配列（生の SQL リテラル）に分解
+const parseInsertValues = (text) => {
+	const tuples = [];
+	let i = 0;
+	while (i < text.length && text[i] === "(") {
+		const tuple = [];
+		i++;
+		while (i < text.length) {
+			const start = i;
+			if (text[i] === "'") {
+				i++;
+				while (i < text.length && text[i] !== "'") i += text[i] === "\\" ? 2 : 1;
+				i++;
+			} else {
+				while (i < text.length && text[i] !== "," && text[i] !== ")") i++;
+			}
+			tuple.push(text.slice(start, i));
+			if (text[i++] === ")") break;
+		}
+		tuples.push(tuple);
+		if (text[i] === ",") i++;
+	}
+	return tuples;
+};
+
+// 組み込みルールを mysqldump の出力に適用する Transform。カスタム SQL はダンプ末尾に追記する
+const createSanitizeStream = (profile, prefix) => {
+	const ops = profile.rules.filter((r) => typeof r === "string").flatMap((name) => SANITIZE_RULES[name] || []);
+	const customSql = profile.rules.filter((r) => r.sql).map((r) => r.sql.replaceAll("{prefix}", prefix));
+	const columns = {};
+	let creating = null;
+
+	const matchesWhere = (row, where = {}) => Object.entries(where).every(([col, cond]) =>
+		cond instanceof RegExp ? cond.test(row[col] ?? "") : cond.includes(row[col])
+	);
+
+	return createLineTransform((line) => {
+		// CREATE TABLE から列順を記録
+		const create = line.match(/^CREATE TABLE `([^`]+)`/);
+		if (create) {
+			creating = create[1];
+			columns[creating] = [];
+			return line;
+		}
+		if (creating) {
+			const col = line.match(/^\s+`([^`]+)`/);
+			if (col) columns[creating].push(col[1]);
+			else if (line.startsWith(")")) creating = null;
+			return line;
+		}
+
+		const insert = line.match(/^INSERT INTO `([^`]+)` VALUES /);
+		if (!insert || !insert[1].startsWith(prefix)) return line;
+		const table = insert[1];
+		const tableOps = ops.filter((op) => prefix + op.table === table);
+		if (!tableOps.length || !columns[table]) return line;
+
+		const tuples = parseInsertValues(line.slice(insert[0].length))
+			.filter((tuple) => {
+				const row = Object.fromEntries(columns[table].map((c, i) => [c, sqlUnquote(tuple[i])]));
+				for (const op of tableOps) {
+					if (!matchesWhere(row, op.where)) continue;
+					if (op.drop) return false;
+					for (const [col, value] of Object.entries(op.set)) {
+						const idx = columns[table].indexOf(col);
+						if (idx < 0) continue;
+						row[col] = typeof value === "function" ? value(row, profile) : value;
+						tuple[idx] = sqlQuote(row[col]);
+					}
+				}
+				return true;
+			});
+
+		return tuples.length ? `${insert[0]}${tuples.map((t) => `(${t.join(",")})`).join(",")};` : null;
+	}, {
+		trailer: () => customSql.map((sql) => `${sql.replace(/;?\s*$/, ";")}\n`).join(""),
+	});
+};
+
+// 取得元のプロファイルからダンプ用の Transform を用意する（無効なら null）
+const prepareSanitizer = async (envName, env, profile) => {
+	if (!profile) return null;
+	const prefix = (await captureWp(envName, env, ["db", "prefix"])).trim();
+	return createSanitizeStream(profile, prefix);
+};
+
+// インポート後に実行するカスタムルール（wp-cli コマンド）
+const runSanitizeCommands = async (envName, env, profile, dryRun = false) => {
+	for (const rule of profile.rules.filter((r) => r.wp)) {
+		if (dryRun) {
+			logger.log(`[DRY-RUN] 👉 ${envName} wp ${rule.wp}`);
+			continue;
+		}
+		await captureWp(envName, env, splitCommand(rule.wp));
+	}
+};
+
+// "option update blog_public 0" のような wp-cli 引数を分割（引用符をサポート）
+const splitCommand = (command) =>
+	(command.match(/"[^"]*"|'[^']*'|\S+/g) || []).map((arg) => arg.replace(/^(["'])(.*)\1$/, "$2"));
+
+// -- DB Sync --
+const syncDatabase = async (direction, envName, env, dryRun = false, { tables: cliTables, skipSanitize = false, site = null } = {}) => {
+	const ts = fileTimestamp();
+	const localBackupDir = resolveBackupDir("local");
+	const remoteBackupDir = resolveBackupDir(envName);
+
+	const wpBinLocal = config.environments.local?.wpBin || config.wpBin || "wp";
+
+	// 取得元 (push はローカル、pull はリモート) で対象テーブルを解決
+	const tableFilter = resolveTableFilter(env, direction, cliTables, site);
+	const tables = direction === "push"
+		? await selectTables("local", config.environments.local || {}, tableFilter)
+		: await selectTables(envName, env, tableFilter);
+	const tablesArgs = tables ? [`--tables=${tables.join(",")}`] : [];
+	const wpOptions = buildSearchReplaceOptions(dryRun, tables);
+
 	if (direction === "push") {
 		const ok = await confirm({ message: "⚠️ Overwrite REMOTE DB? (y/n) ", expected: "y" });
-		if (!ok) process.exit(0);
+		if (!ok) abort();
 
 		// ローカルをバックアップ
-		const localDumpPath = path.join(localBackupDir, `local-backup-${ts}.sql`);
+		const localDumpPath = path.join(localBackupDir, `local-backup-${ts}${dumpExt()}`);
 		await exportLocalDB(wpBinLocal, localDumpPath, dryRun);
 
+		// リモートを事前バックアップ（rollback 用スナップショット）
+		const remoteBeforePushBackupPath = path.join(remoteBackupDir, `${PRE_PUSH_PREFIX}${ts}${dumpExt()}`);
+		logger.log("👉 Exporting remote DB to backup...");
+		await exportRemoteDB(env, remoteBeforePushBackupPath, dryRun);
+
 		if (dryRun) return;
 
-		console.log("👉 Importing local DB to remote...");
+		logger.log("👉 Importing local DB to remote...");
 		await pipeProcesses(
 			wpBinLocal.split(" ")[0],
-			[...wpBinLocal.split(" ").slice(1), "db", "export", "-", "--allow-root", "--single-transaction", "--quick"],
+			[...wpBinLocal.split(" ").slice(1), "db", "export", "-", ...tablesArgs, "--allow-root", "--single-transaction", "--quick"],
 			"ssh",
-			[env.sshAlias, `cd ${env.wpRoot} && ${env.wpBin || "wp"} db import -`]
+			sshArgs(env, `cd ${env.wpRoot} && ${env.wpBin || "wp"} db import -`)
 		);
 
-		console.log("👉 Running search-replace on remote...");
-		await runSearchReplace(env.sshAlias, localDomain, remoteDomain, env.wpBin || "wp", env.wpRoot, wpOptions, dryRun);
+		logger.log("👉 Running search-replace on remote...");
+		await runReplacements(env, resolveReplacements("local", envName), env.wpBin || "wp", env.wpRoot, wpOptions, dryRun);
 
-		log("✅ Remote DB sync (push) complete.");
+		log(`✅ Remote DB sync (push) complete. Pre-push snapshot: ${path.relative(process.cwd(), remoteBeforePushBackupPath)}`);
 	} else {
 		const ok = await confirm({ message: "⚠️ Overwrite LOCAL DB? (y/n) ", expected: "y" });
-		if (!ok) process.exit(0);
+		if (!ok) abort();
 
 		// ローカルを事前バックアップ
-		const localBeforePullBackupPath = path.join(localBackupDir, `local-backup-before-pull-${ts}.sql`);
+		const localBeforePullBackupPath = path.join(localBackupDir, `local-backup-before-pull-${ts}${dumpExt()}`);
 		await exportLocalDB(wpBinLocal, localBeforePullBackupPath, dryRun);
 
 		// リモートをバックアップ
-		const remoteBackupPath = path.join(remoteBackupDir, `remote-backup-${ts}.sql`);
-		console.log("👉 Exporting remote DB to backup...");
+		const remoteBackupPath = path.join(remoteBackupDir, `remote-backup-${ts}${dumpExt()}`);
+		logger.log("👉 Exporting remote DB to backup...");
 		await exportRemoteDB(env, remoteBackupPath, dryRun);
 
 		if (dryRun) return;
 
-		// リモートをローカルへインポート
-		console.log("👉 Importing remote DB to local...");
-		await pipeProcesses("ssh", [env.sshAlias, `cd ${env.wpRoot} && ${env.wpBin || "wp"} db export - --single-transaction --quick`], wpBinLocal.split(" ")[0], [...wpBinLocal.split(" ").slice(1), "db", "import", "-", "--allow-root"]);
+		// リモートをローカルへインポート（サニタイズはストリーム上で適用）
+		const sanitizeProfile = skipSanitize ? null : resolveSanitizeProfile(env);
+		const sanitizer = await prepareSanitizer(envName, env, sanitizeProfile);
+		logger.log("👉 Importing remote DB to local...");
+		await pipeProcesses("ssh", sshArgs(env, `cd ${env.wpRoot} && ${env.wpBin || "wp"} db export - ${tablesArgs.join(" ")} --single-transaction --quick`), wpBinLocal.split(" ")[0], [...wpBinLocal.split(" ").slice(1), "db", "import", "-", "--allow-root"], false, sanitizer ? [sanitizer] : []);
 
-		// インポート後に search-replace
-		console.log("👉 Running search-replace on local...");
-		await runSearchReplace("local", remoteDomain, localDomain, wpBinLocal, env.wpRoot, wpOptions, dryRun);
+		if (sanitizeProfile) {
+			await runSanitizeCommands("local", config.environments.local || {}, sanitizeProfile);
+			log(`🧼 Sanitized data pulled from ${envName}: ${sanitizeProfile.rules.map(describeSanitizeRule).join(", ")}`);
+		}
+
+		// インポート後に search-replace
+		logger.log("👉 Running search-replace on local...");
+		await runReplacements("local", resolveReplacements(envName, "local"), wpBinLocal, env.wpRoot, wpOptions, dryRun);
+
+		log(`✅ Local DB sync (pull) complete. Backups retained: ${path.basename(remoteBackupPath)}`);
+	}
+};
+
+// -- DB Export --
+// replace に環境名を渡すと、その環境向けに置換したダンプを exports/ へ書き出す
+const exportDatabase = async (envName, { replace, sanitize = false, dryRun = false } = {}) => {
+	const env = config.environments[envName];
+	if (!env) {
+		fatal(`❌ Error: Unknown environment '${envName}'`);
+	}
+
+	let replacements = null;
+	if (replace !== undefined) {
+		if (typeof replace !== "string") {
+			fatal("❌ Error: --replace requires an environment name (e.g. --replace=staging)");
+		}
+		if (!config.environments[replace]) {
+			fatal(`❌ Error: Unknown environment '${replace}'. Available: ${Object.keys(config.environments).join(", ")}`);
+		}
+		replacements = resolveReplacements(envName, replace);
+		logger.log(`🔄 Replacing: ${replacements.map((r) => `${r.from} → ${r.to}`).join(", ")}`);
+	}
+
+	const dumpsDir = resolveBackupDir(envName, !!replacements);
+	const filename = replacements
+		? `${envName}-to-${replace}-${fileTimestamp()}${dumpExt()}`
+		: `${envName}-${fileTimestamp()}${dumpExt()}`;
+	const dumpPath = path.join(dumpsDir, filename);
+	const relativeDumpPath = path.relative(process.cwd(), dumpPath);
+
+	// sanitize: 環境のプロファイル（未設定なら組み込みルールすべて）を適用
+	const sanitizeProfile = sanitize ? resolveSanitizeProfile(env) || resolveSanitizeProfile({ sanitize: true }) : null;
+	if (sanitizeProfile?.rules.some((r) => r.wp)) {
+		logger.warn("⚠️ wp-cli sanitize rules need a live database and are skipped for db:export.");
+	}
+	const sanitizer = dryRun ? null : await prepareSanitizer(envName, env, sanitizeProfile);
+
+	await exportDB(env, relativeDumpPath, dryRun, replacements, sanitizer ? [sanitizer] : []);
+	if (!dryRun) recordBackup(dumpPath);
+
+	if (sanitizeProfile && !dryRun) {
+		log(`🧼 Sanitized export of ${envName}: ${sanitizeProfile.rules.filter((r) => !r.wp).map(describeSanitizeRule).join(", ")}`);
+	}
+	log(`✅ Export complete: ${dumpPath}`);
+	return dryRun ? null : dumpPath;
+};
+
+// -- DB Restore --
+const restoreDatabase = async (envName, env, { file, latest = false, from, dryRun = false, operation = "restore" } = {}) => {
+	const isLocal = envName === "local";
+	let dumpPath;
+
+	if (file) {
+		dumpPath = path.resolve(file);
+		if (!fs.existsSync(dumpPath)) {
+			fatal(`❌ Dump file not found: ${file}`);
+		}
+	} else {
+		const sourceEnv = from || envName;
+		const dumps = listDumps(sourceEnv);
+		if (!dumps.length) {
+			fatal(`❌ No dumps found for "${sourceEnv}" in ${DEFAULT_BACKUP_DIR}/.`);
+		}
+
+		if (latest) {
+			dumpPath = dumps[0].path;
+		} else {
+			logger.log(`📦 Available dumps for "${sourceEnv}":`);
+			dumps.forEach((d, i) => {
+				const size = `${(d.size / 1024 / 1024).toFixed(1)}MB`;
+				logger.log(`  [${i + 1}] ${path.relative(process.cwd(), d.path)} (${size}, ${new Date(d.mtime).toLocaleString()})`);
+			});
+			const ans = await ask(`Select dump [1-${dumps.length}] (default 1): `);
+			const index = ans === "" ? 0 : Number(ans) - 1;
+			if (!Number.isInteger(index) || !dumps[index]) {
+				fatal(`❌ Invalid selection: ${ans}`);
+			}
+			dumpPath = dumps[index].path;
+		}
+	}
+
+	const relativeDumpPath = path.relative(process.cwd(), dumpPath);
+	const sourceEnv = from || resolveDumpSource(dumpPath) || envName;
+	logger.log(`🔄 Restoring ${relativeDumpPath} into ${envName}`);
+
+	if (envName === "production") {
+		logger.log("⚠️ You are about to RESTORE PRODUCTION DB!");
+		const ok = await confirm({ message: "Type exactly 'I WANT TO RESTORE' to continue: ", expected: "i want to restore", production: true });
+		if (!ok) abort();
+	}
+
+	const ok = await confirm({ message: `⚠️ Overwrite ${isLocal ? "LOCAL" : "REMOTE"} DB? (y/n) `, expected: "y" });
+	if (!ok) abort();
+
+	// 復元先を事前バックアップ
+	const ts = fileTimestamp();
+	const backupPath = path.join(resolveBackupDir(envName), `${isLocal ? "local" : "remote"}-backup-before-restore-${ts}${dumpExt()}`);
+	if (isLocal) {
+		await exportLocalDB(env.wpBin || config.wpBin || "wp", backupPath, dryRun);
+	} else {
+		await exportRemoteDB(env, backupPath, dryRun);
+	}
+
+	const importEnv = isLocal ? { ...env, wpBin: env.wpBin || config.wpBin || "wp" } : env;
+	try {
+		await importDB(importEnv, relativeDumpPath, dryRun);
+	} catch (err) {
+		fatal(`❌ Import failed: ${err.message}. Previous state saved to ${path.relative(process.cwd(), backupPath)}`);
+	}
+
+	// ダンプ元の環境が異なる場合のみ search-replace
+	if (!config.environments[sourceEnv]?.domain) {
+		logger.warn(`⚠️ Unknown source environment "${sourceEnv}"; skipping search-replace.`);
+	} else if (sourceEnv !== envName) {
+		logger.log(`👉 Running search-replace on ${envName}...`);
+		await runReplacements(
+			isLocal ? "local" : env,
+			resolveReplacements(sourceEnv, envName),
+			importEnv.wpBin || "wp",
+			env.wpRoot,
+			buildSearchReplaceOptions(dryRun),
+			dryRun
+		);
+	}
+
+	if (dryRun) return;
+
+	log(`✅ DB ${operation} complete: ${relativeDumpPath} → ${envName} (backup: ${path.basename(backupPath)})`);
+};
+
+// -- Rollback --
+// 直近の push 前スナップショットをリモートへ戻す
+const rollbackDatabase = async (envName, env, dryRun = false) => {
+	const snapshot = listDumps(envName)
+		.find((d) => path.basename(d.path).startsWith(PRE_PUSH_PREFIX));
+	if (!snapshot) {
+		fatal(`❌ No pre-push snapshot found in ${DEFAULT_BACKUP_DIR}/${envName}/.`);
+	}
+
+	logger.log(`↩️ Rolling back ${envName} to ${path.basename(snapshot.path)}`);
+	await restoreDatabase(envName, env, { file: snapshot.path, dryRun, operation: "rollback" });
+};
+
+// -- Promote (remote → remote) --
+const promoteDatabase = async (fromName, fromEnv, toName, toEnv, dryRun = false, { tables: cliTables } = {}) => {
+	// 取得元の pull 設定でテーブルを絞り込む
+	const tables = await selectTables(fromName, fromEnv, resolveTableFilter(fromEnv, "pull", cliTables));
+	const tablesArgs = tables ? ` --tables=${tables.join(",")}` : "";
+
+	const ok = await confirm({ message: `⚠️ Overwrite ${toName.toUpperCase()} DB with ${fromName}? (y/n) `, expected: "y" });
+	if (!ok) abort();
+
+	// 反映先を事前バックアップ（rollback 用スナップショット）
+	const ts = fileTimestamp();
+	const snapshotPath = path.join(resolveBackupDir(toName), `${PRE_PUSH_PREFIX}${ts}${dumpExt()}`);
+	logger.log(`👉 Exporting ${toName} DB to backup...`);
+	await exportRemoteDB(toEnv, snapshotPath, dryRun);
+
+	logger.log(`👉 Streaming ${fromName} DB to ${toName}...`);
+	await pipeProcesses(
+		"ssh",
+		sshArgs(fromEnv, `cd ${fromEnv.wpRoot} && ${fromEnv.wpBin || "wp"} db export -${tablesArgs} --single-transaction --quick`),
+		"ssh",
+		sshArgs(toEnv, `cd ${toEnv.wpRoot} && ${toEnv.wpBin || "wp"} db import -`),
+		dryRun
+	);
+
+	logger.log(`👉 Running search-replace on ${toName}...`);
+	await runReplacements(
+		toEnv,
+		resolveReplacements(fromName, toName),
+		toEnv.wpBin || "wp",
+		toEnv.wpRoot,
+		buildSearchReplaceOptions(dryRun, tables),
+		dryRun
+	);
+
+	if (dryRun) return;
+
+	log(`✅ DB promote complete: ${fromName} → ${toName}. Pre-promote snapshot: ${path.relative(process.cwd(), snapshotPath)}`);
+};
+
+// 一時ディレクトリを経由して rsync を中継する
+// 取得が不完全なまま送ると deleteMode (--delete-before) で送り先のファイルを消してしまうため、その場合は送らない
+const promoteFiles = async (fromEnv, toEnv, target, dryRun = false) => {
+	const relayDir = fs.mkdtempSync(path.join(os.tmpdir(), "wp-sync-promote-"));
+	try {
+		if (!(await syncFileTarget("pull", fromEnv, target, relayDir, dryRun))) {
+			logger.warn(`⚠️ Not pushing ${target.dir} to ${sshDestination(toEnv)}: the copy from ${sshDestination(fromEnv)} is incomplete.`);
+			return;
+		}
+		await syncFileTarget("push", toEnv, target, relayDir, dryRun);
+	} finally {
+		fs.rmSync(relayDir, { recursive: true, force: true });
+	}
+};
+
+// -- プラグイン同期 (wp-cli) --
+// targets.plugins.mode = "wp-cli" ではコードを rsync せず、wordpress.org から同じバージョンを入れて有効化状態を揃える
+// wordpress.org にないプラグイン（有料・自作）と targets.plugins.rsync に挙げたものはそのディレクトリだけ rsync する
+const listPlugins = async (envName, env) => {
+	const output = await captureWp(envName, env, ["plugin", "list", "--fields=name,status,version", "--format=json"], true);
+	return Object.fromEntries(JSON.parse(output)
+		.filter((p) => p.status !== "must-use" && p.status !== "dropin")
+		.map((p) => [p.name, p]));
+};
+
+const describePlugin = (plugin) => plugin ? `${plugin.version || "?"} (${plugin.status})` : "-";
+
+// 取得先の有効化状態を取得元に合わせる wp plugin のサブコマンド
+const activationArgs = (source, dest) => {
+	const current = dest?.status || "inactive";
+	if (source.status === current) return null;
+	if (source.status === "active") return ["activate"];
+	if (source.status === "active-network") return ["activate", "--network"];
+	return current === "active-network" ? ["deactivate", "--network"] : ["deactivate"];
+};
+
+// 取得先にしかないプラグインは削除せず報告のみ
+const diffPlugins = (source, dest) =>
+	[...new Set([...Object.keys(source), ...Object.keys(dest)])].sort().map((name) => {
+		const s = source[name];
+		const d = dest[name];
+		const actions = [];
+		if (!s) {
+			actions.push("extra");
+		} else {
+			if (!d) actions.push("install");
+			else if (s.version !== d.version) actions.push("update");
+			const activation = activationArgs(s, d);
+			if (activation) actions.push(activation.join(" "));
+		}
+		return { name, source: s, dest: d, actions };
+	});
+
+const syncPlugins = async (direction, envName, env, target, { check = false, dryRun = false } = {}) => {
+	const local = config.environments.local || {};
+	const [sourceName, sourceEnv, destName, destEnv] = direction === "push"
+		? ["local", local, envName, env]
+		: [envName, env, "local", local];
+
+	const source = await listPlugins(sourceName, sourceEnv);
+	const dest = await listPlugins(destName, destEnv);
+	const changed = diffPlugins(source, dest).filter((p) => p.actions.length);
+
+	logger.log(`\n🔌 Plugins (${sourceName} → ${destName})`);
+	if (!changed.length) {
+		logger.log("✅ Plugin versions and activation already match.");
+		return;
+	}
+	printTable(
+		["Plugin", sourceName, destName, "Action"],
+		changed.map((p) => [p.name, describePlugin(p.source), describePlugin(p.dest), p.actions.join(", ")])
+	);
+	if (check) return;
+
+	const wp = (args) => dryRun
+		? logger.log(`[DRY-RUN] 👉 ${destName}: wp ${args.join(" ")}`)
+		: captureWp(destName, destEnv, args);
+	const rsyncOnly = target.rsync || [];
+	const reconciled = changed.filter((p) => p.source);
+
+	for (const { name, source: s, dest: d } of reconciled) {
+		if (!d || s.version !== d.version) {
+			let installed = false;
+			if (s.version && !rsyncOnly.includes(name)) {
+				try {
+					await wp(["plugin", "install", name, `--version=${s.version}`, "--force"]);
+					installed = true;
+				} catch {
+					logger.warn(`⚠️ ${name} ${s.version} is not available from wordpress.org; falling back to rsync.`);
+				}
+			}
+			if (!installed) {
+				const pluginDir = (dir) => path.posix.join(dir, name);
+				const pluginTarget = {
+					...target,
+					dir: pluginDir(target.dir),
+					...(target.remoteDir && { remoteDir: pluginDir(target.remoteDir) }),
+					deleteMode: true,
+				};
+				await syncFileTarget(direction, env, pluginTarget, pluginTarget.dir, dryRun);
+			}
+		}
+		const activation = activationArgs(s, d);
+		if (activation) await wp(["plugin", ...activation, name]);
+	}
+
+	if (!dryRun) log(`✅ Plugin sync (${direction}) complete for ${envName}: ${reconciled.length} plugin(s) reconciled.`);
+};
+
+// -- Status (差分プレビュー) --
+// push した場合の変更を rsync --itemize-changes で集計（ファイルのみ）
+const fileStatus = async (env, target, quiet = false) => {
+	const localSource = path.resolve(target.dir) + path.sep;
+	const remoteDir = `${sshDestination(env)}:${remoteTargetDir(env, target)}/`;
+	if (!fs.existsSync(localSource)) {
+		return { error: "missing locally" };
+	}
+
+	const args = [
+		"-az", "--no-perms", "--itemize-changes", "--dry-run", "--delete", ...rsyncTransport(env),
+		...[...(env.exclude || []), ...(target.exclude || [])].map((p) => `--exclude=${p}`),
+		...transferFilterArgs(resolveTransfer(env, target), target),
+		localSource, remoteDir,
+	];
+
+	let output;
+	try {
+		output = await runAsync("rsync", args, { capture: true, quiet });
+	} catch (err) {
+		return { error: err.message.includes("rsync exited with 23") ? "missing on remote" : err.message };
+	}
+
+	const summary = { added: 0, changed: 0, deleted: 0 };
+	for (const line of output.split("\n")) {
+		if (line.startsWith("*deleting")) {
+			if (!line.endsWith("/")) summary.deleted++;
+			continue;
+		}
+		const match = line.match(/^([<>ch.])f(\S+) /);
+		if (!match) continue;
+		if (match[2].startsWith("+++")) summary.added++;
+		else if (match[1] !== ".") summary.changed++;
+	}
+	return summary;
+};
+
+// テーブル一覧・行数・CHECKSUM TABLE を取得
+const dbSnapshot = async (envName, env, quiet = false) => {
+	const tables = (await captureWp(envName, env, ["db", "tables", "--all-tables-with-prefix"], quiet))
+		.split("\n").map((t) => t.trim()).filter(Boolean);
+	if (!tables.length) return {};
+
+	const countSql = tables.map((t) => `SELECT '${t}', COUNT(*) FROM \`${t}\``).join(" UNION ALL ");
+	const checksumSql = `CHECKSUM TABLE ${tables.map((t) => `\`${t}\``).join(", ")}`;
+	const rows = (sql) => captureWp(envName, env, ["db", "query", sql, "--skip-column-names"], quiet)
+		.then((out) => out.split("\n").filter(Boolean).map((line) => line.split("\t")));
+
+	const snapshot = {};
+	for (const [table, count] of await rows(countSql)) {
+		snapshot[table] = { rows: Number(count) };
+	}
+	for (const [table, checksum] of await rows(checksumSql)) {
+		// CHECKSUM TABLE は db.table 形式で返る
+		const name = table.split(".").pop();
+		if (snapshot[name]) snapshot[name].checksum = checksum;
+	}
+	return snapshot;
+};
 
-		log(`✅ Local DB sync (pull) complete. Backups retained: remote-backup-${ts}.sql`);
+const dbStatus = async (envName, env, quiet = false) => {
+	const local = await dbSnapshot("local", config.environments.local || {}, quiet);
+	const remote = await dbSnapshot(envName, env, quiet);
+
+	return [...new Set([...Object.keys(local), ...Object.keys(remote)])].sort()
+		.map((table) => {
+			const l = local[table];
+			const r = remote[table];
+			const state = !r ? "local only"
+				: !l ? "remote only"
+					: l.checksum === r.checksum ? "same"
+						: "differs";
+			return { table, state, localRows: l?.rows ?? null, remoteRows: r?.rows ?? null };
+		});
+};
+
+const printTable = (headers, rows) => {
+	const widths = headers.map((h, i) => Math.max(h.length, ...rows.map((r) => String(r[i]).length)));
+	const line = (cells) => cells.map((c, i) => String(c).padEnd(widths[i])).join("  ").trimEnd();
+	logger.log(line(headers));
+	logger.log(widths.map((w) => "-".repeat(w)).join("  "));
+	rows.forEach((r) => logger.log(line(r)));
+};
+
+const showStatus = async (envName, env, { json = false } = {}) => {
+	const files = {};
+	for (const [name, target] of Object.entries(FILE_TARGETS)) {
+		files[name] = await fileStatus(env, target, json);
+	}
+	const database = await dbStatus(envName, env, json);
+
+	if (json) {
+		logger.log(JSON.stringify({ environment: envName, files, database }, null, 2));
+		return;
+	}
+
+	logger.log(`\n📁 Files (local → ${envName}, as a push would apply them)`);
+	printTable(
+		["Target", "Added", "Changed", "Deleted"],
+		Object.entries(files).map(([name, r]) => r.error ? [name, `(${r.error})`, "", ""] : [name, r.added, r.changed, r.deleted])
+	);
+
+	logger.log(`\n🗄️ Database (local ↔ ${envName})`);
+	const drifted = database.filter((t) => t.state !== "same");
+	printTable(
+		["Table", "State", "Local rows", "Remote rows"],
+		drifted.map((t) => [t.table, t.state, t.localRows ?? "-", t.remoteRows ?? "-"])
+	);
+	logger.log(`${database.length - drifted.length} of ${database.length} table(s) identical.`);
+};
+
+// -- 履歴表示 --
+const showHistory = ({ envName, target, limit = 20, json = false } = {}) => {
+	const entries = readHistory()
+		.filter((e) => !envName || e.environment === envName || e.from === envName)
+		.filter((e) => !target || e.targets.some((t) => t.target === target && t.status !== "skipped" && t.status !== "unknown"))
+		.slice(0, limit);
+
+	if (json) {
+		logger.log(JSON.stringify(entries, null, 2));
+		return;
 	}
+	if (!entries.length) {
+		logger.log("No matching runs in history.");
+		return;
+	}
+
+	printTable(
+		["Started", "User", "Command", "Environment", "Targets", "Status", "Commit"],
+		entries.map((e) => [
+			e.startedAt.replace("T", " ").slice(0, 19),
+			`${e.user}@${e.host}`,
+			`${e.command}${e.dryRun ? " (dry-run)" : ""}`,
+			e.from ? `${e.from} → ${e.environment}` : e.environment || "-",
+			e.targets.filter((t) => t.status !== "skipped" && t.status !== "unknown").map((t) => t.target).join(", ") || "-",
+			e.status,
+			e.git ? `${e.git.commit.slice(0, 7)}${e.git.dirty ? "*" : ""} (${e.git.branch})` : "-",
+		])
+	);
 };
 
 // -- ヘルプ --
 const showHelp = () => {
-	console.log(`
+	logger.log(`
 Usage:
-	node sync.js push -e <env> <targets...>
-	node sync.js pull -e <env> <targets...>
-	node sync.js db:export -e <env> [--replace=<env>]
+	node sync.js                (no arguments, in a terminal: guided mode)
+	node sync.js push -e <env> <targets...> [--site=<slug|blog_id>]
+	node sync.js pull -e <env> <targets...> [--site=<slug|blog_id>]
+	node sync.js promote -f <env> -e <env> <targets...>
+	node sync.js status -e <env> [--json]
+	node sync.js db:export -e <env> [--replace=<env>] [--sanitize]
+	node sync.js db:restore -e <env> [--file=<path> | --latest] [--from=<env>]
+	node sync.js rollback -e <env>
+	node sync.js backups:prune [-e <env>] [--dry-run]
+	node sync.js history [-e <env>] [--target=<target>] [--limit=<n>] [--json]
 
 Targets (can be combined or abbreviated with -t flags):
-	themes (t), plugins (p), muplugins (m), languages (l), uploads (u), database (d)
+	${[...Object.keys(FILE_TARGETS), "database"].map((name) => {
+		const flag = Object.keys(TARGET_ALIASES).find((f) => TARGET_ALIASES[f] === name);
+		return flag ? `${name} (${flag})` : name;
+	}).join(", ")}
 
 Options:
 	--all, -a     Sync all targets (respects syncOptions=false)
@@ -415,16 +1870,368 @@ Options:
 	-e, --env     Specify environment (e.g., staging)
 	-t<flags>   Abbreviated targets, e.g. -tpud = themes + plugins + uploads + database
 	--replace, -R Environment for domain replacement in db:export (e.g., --replace=staging)
+	--file        Dump file to restore in db:restore (skips the selection prompt)
+	--latest      Restore the newest dump without prompting
+	--json        Machine-readable output: status report, or a per-target result for other commands
+	--yes, -y     Answer "y" to confirmations (non-interactive / CI)
+	--i-know-this-is-production  With --yes, also skip the production confirmation phrase
+	--target      Only list runs that synced this target in history (e.g. --target=database)
+	--limit       Number of runs listed by history (default 20)
+	--force-unlock  Remove an existing remote lock before running
+	--sanitize    Apply the sanitize profile to db:export
+	--skip-sanitize  Pull the database without sanitizing
+	--partial     Keep partially transferred files so an interrupted rsync resumes
+	--bwlimit     Limit rsync bandwidth, e.g. --bwlimit=2m
+	--checksum    Compare files by checksum instead of size and mtime
+	--no-compress Disable rsync compression (--compress re-enables it)
+	--max-size    Skip files larger than this, e.g. --max-size=50m
+	--since       Only uploads from YYYY/MM folders since then, e.g. --since="12 months" or 2024-04
+	--check       Report plugin version/activation differences only (with -p / plugins)
+	--site        Multisite: limit push/pull to one site's tables and uploads/sites/<id>
+	              (the site must have the same blog_id on both sides)
+	--tables      Tables for database sync, e.g. --tables=posts,postmeta or --tables='*,!users,!usermeta'
+	--from, -f    Source environment for promote, or whose dumps are listed in db:restore
 
 Notes:
 	-e <env> can be omitted for push/pull only if exactly 1 non-local environment is defined.
+	targets.plugins.mode = "wp-cli" syncs plugins by version instead of rsyncing their code:
+	it compares wp plugin list on both sides, installs the same versions from wordpress.org
+	(falling back to rsync for plugins it can't find or listed in targets.plugins.rsync),
+	then matches activation. Plugins only on the destination are reported, not removed.
+	promote still rsyncs plugins.
+	transfer per environment tunes rsync: { "partial", "bwlimit", "checksum", "compress",
+	"maxSize", "since" }, with per-target overrides under transfer.<target>
+	(e.g. "transfer": { "bwlimit": "5m", "uploads": { "partial": true, "since": "12 months" } }).
+	CLI flags override the config. since applies to uploads and leaves non-dated folders alone.
+	Remote environments connect via sshAlias (a host in ~/.ssh/config) or
+	ssh: { "host", "user", "port", "identityFile", "jumpHost", "options": { "Key": "value" } },
+	used for both ssh commands and rsync's -e transport.
+	targets.<name> adds or overrides file targets: { "dir": local path, "remoteDir": path
+	on the remote (relative to wpRoot or absolute, defaults to dir), "exclude": [...],
+	"deleteMode": true, "flag": "F" }. Set a built-in target to false to remove it.
 	db:export always requires -e <env>.
+	With multisite: true, sites.<slug|blog_id> per environment maps each subsite to its
+	domain (e.g. "sites": { "shop": "shop.staging.example.com" }); matching keys are
+	rewritten after the main domain, including wp_blogs. --site=<slug|blog_id> syncs one
+	existing site: its tables (the main site excludes network tables) and its uploads.
+	tables.{include,exclude} per environment (optionally under tables.push / tables.pull)
+	limits which tables database sync exports, imports and search-replaces. Globs match
+	the full table name or the name without the table prefix (e.g. "users", "wc_sessions*").
+	sanitize per environment (true, or { "rules": [...], "password": ... }) anonymizes data
+	pulled from it. Built-in rules: users, passwords, woocommerce, transients; custom rules
+	are { "sql": "... {prefix}users ..." } or { "wp": "option update blog_public 0" }.
+	push, pull, promote, rollback and db:restore hold a lock file (.wp-sync.lock in wpRoot)
+	on remote environments. Locks older than lock.staleMinutes (default 180) are treated
+	as stale; set lock.enabled=false to disable locking.
+	Every push, pull, promote, db:export, db:restore and rollback run is recorded in
+	sync-history.jsonl (user, git commit/branch, environment, targets, durations, backups,
+	outcome), rotated like sync.log. history lists the newest first.
+	Without --yes, prompts fail fast when stdin is not a TTY.
+	Exit codes: 0 = success, 1 = failure, 2 = aborted by the user.
+	status (alias: diff) is read-only: it previews file drift with rsync --dry-run and
+	compares table lists, row counts and CHECKSUM TABLE results on both sides.
+	promote copies between two remote environments (e.g. -f staging -e production)
+	without touching local: the DB is streamed host to host, files are relayed
+	through a temporary directory.
 	The --replace option for db:export replaces the domain in the exported database.
+	Extra ordered rules (schemes, paths, CDN hosts, JSON-escaped URLs) can be set in
+	sync.config.json as replacements["<from>:<to>"] = [{ "from": ..., "to": ... }];
+	they run before the domain swap on push, pull, promote, db:restore and db:export --replace.
+	db:restore (alias: db:import) backs up the target DB first, then imports the dump
+	and runs search-replace when the dump came from a different domain.
+	hooks.{beforePush,afterPush,beforePull,afterPull} (and hooks.<target>.{...}) per
+	environment run commands over ssh in wpRoot; use { "command": ..., "local": true }
+	to run locally. A failing hook aborts the run.
+	push database saves a pre-push snapshot of the remote DB in sql/<env>/;
+	rollback restores the most recent one.
+	Dumps are compressed per backups.compression (gzip, zstd or none) in sync.config.json.
+	backups.retention ({ keep, maxAgeDays }, overridable per environment or "exports")
+	is applied after every run and by backups:prune. The newest pre-push snapshot
+	per environment is always kept for rollback.
+`);
+};
+
+// -- リモートロック --
+// 同一環境への同時実行を防ぐため wpRoot にロックファイルを置く
+const heldLocks = [];
+
+const acquireLock = async (envName, env, { force = false, dryRun = false } = {}) => {
+	if (envName === "local" || config.lock?.enabled === false) return;
+	const lockPath = `${env.wpRoot}/${LOCK_FILENAME}`;
+	if (dryRun) {
+		logger.log(`[DRY-RUN] 👉 Would lock ${envName}:${lockPath}`);
+		return;
+	}
+
+	const remote = (script) => runAsync("ssh", sshArgs(env, `cd ${env.wpRoot} && ${script}`), { capture: true, quiet: true });
+
+	if (force) {
+		await remote(`rm -f ${LOCK_FILENAME}`);
+		log(`🔓 Force-unlocked ${envName} (${lockPath})`);
+	}
+
+	const info = {
+		id: crypto.randomUUID(),
+		user: os.userInfo().username,
+		host: os.hostname(),
+		command: process.argv.slice(2).join(" "),
+		pid: process.pid,
+		startedAt: new Date().toISOString(),
+	};
+	// noclobber (set -C) で既存ファイルがあれば作成に失敗させる
+	const create = `if ( set -C; printf '%s\\n' ${shellEscape(JSON.stringify(info))} > ${LOCK_FILENAME} ) 2>/dev/null; then echo ACQUIRED; else cat ${LOCK_FILENAME}; fi`;
+	const staleMinutes = config.lock?.staleMinutes ?? DEFAULT_LOCK_STALE_MINUTES;
+
+	for (let attempt = 0; attempt < 2; attempt++) {
+		const raw = await remote(create);
+		const output = raw.trim();
+		if (output === "ACQUIRED") {
+			const lock = { envName, env, id: info.id };
+			heldLocks.push(lock);
+			logger.log(`🔒 Locked ${envName} (${lockPath})`);
+			return lock;
+		}
+
+		let holder = {};
+		try {
+			holder = JSON.parse(output);
+		} catch {
+			// 壊れたロックファイルは古いものとして扱う
+		}
+		const ageMinutes = (Date.now() - Date.parse(holder.startedAt)) / 60000;
+		if (attempt === 0 && !(ageMinutes <= staleMinutes)) {
+			logger.warn(`⚠️ Removing stale lock on ${envName} (${holder.user || "unknown"}@${holder.host || "unknown"} since ${holder.startedAt || "unknown"}).`);
+			// 読んだ時点と同じ内容のときだけ消す（同時に走った別の実行が作り直したロックは消さない）
+			// $(cat) は末尾の改行を落とすので比較側もそろえる
+			await remote(`[ "$(cat ${LOCK_FILENAME})" = ${shellEscape(raw.replace(/\n+$/, ""))} ] && rm -f ${LOCK_FILENAME} || true`);
+			continue;
+		}
+		fatal(`❌ ${envName} is locked by ${holder.user}@${holder.host} since ${holder.startedAt} ("${holder.command}"). Use --force-unlock if that run is no longer active.`, LockError);
+	}
+};
+
+// exit ハンドラから呼ぶため同期的に解放する。自分のロックのときだけ削除
+const releaseLock = (lock) => {
+	const index = heldLocks.indexOf(lock);
+	if (index === -1) return;
+	heldLocks.splice(index, 1);
+	const { envName, env, id } = lock;
+	const result = spawnSync("ssh", sshArgs(env, `cd ${env.wpRoot} && grep -q ${shellEscape(id)} ${LOCK_FILENAME} && rm -f ${LOCK_FILENAME}`), { stdio: "ignore" });
+	if (result.status !== 0) {
+		logger.error(`⚠️ Could not release lock on ${envName}; remove ${env.wpRoot}/${LOCK_FILENAME} manually if it remains.`);
+	} else {
+		logger.error(`🔓 Released lock on ${envName}`);
+	}
+};
+
+const releaseLocks = () => {
+	while (heldLocks.length) {
+		releaseLock(heldLocks[heldLocks.length - 1]);
+	}
+};
+
+// -- フック --
+// hooks.{beforePush,afterPush,beforePull,afterPull} は実行全体、hooks.<target>.{...} はターゲット単位
+const hookEventName = (phase, direction) => `${phase}${direction[0].toUpperCase()}${direction.slice(1)}`;
+
+const runHooks = async (envName, env, event, { target, dryRun = false } = {}) => {
+	const scope = target ? env.hooks?.[target] : env.hooks;
+	const hooks = [].concat(scope?.[event] || []);
+
+	for (const hook of hooks) {
+		// 文字列はリモート (wpRoot) で実行、{ command, local: true } はローカルで実行
+		const { command, local = false } = typeof hook === "string" ? { command: hook } : hook;
+		const label = `${event}${target ? ` (${target})` : ""} hook on ${local ? "local" : envName}: ${command}`;
+
+		try {
+			if (local) {
+				await runAsync("sh", ["-c", command], { dryRun });
+			} else {
+				await runAsync("ssh", sshArgs(env, `cd ${env.wpRoot} && ${command}`), { dryRun });
+			}
+		} catch (err) {
+			log(`❌ ${label} failed: ${err.message}`);
+			fatal(`❌ Aborting: ${event} hook failed.`);
+		}
+
+		if (!dryRun) log(`🪝 ${label}`);
+	}
+};
+
+// -- ターゲット解決 --
+// 位置引数と短縮フラグ (-tpud) からターゲット一覧を組み立てる
+const collectTargets = (targets, values, tokens) => {
+	const collected = [...targets];
+
+	// 短縮フラグ処理 (values.t etc. で boolean フラグ)
+	Object.entries(TARGET_ALIASES).forEach(([short, full]) => {
+		if (values[short]) {
+			collected.push(full);
+		}
+	});
+
+	// 複数短縮形 (-tp) 処理: ターゲット以外の短縮オプション (-e, -n など) は除外
+	const expandedTargets = tokens
+		.filter(t => t.kind === "option" && /^-[a-z]+$/i.test(t.rawName))
+		.flatMap(t => t.rawName.slice(1).split("").map(ch => TARGET_ALIASES[ch]).filter(Boolean));
+
+	return Array.from(new Set([...collected, ...expandedTargets]));
+};
+
+// runHook(phase, target) は全体の前後 (target なし) とターゲットごとの前後で呼ばれる
+const runTargets = async (map, selectedTargets, { isAllowed = () => true, runHook = async () => {} } = {}) => {
+	if (!selectedTargets.length) {
+		fatal("❌ No sync targets specified. Use --all or list targets.");
+	}
+
+	await runHook("before");
+	for (const t of selectedTargets) {
+		if (!map[t]) {
+			logger.warn(`⚠️ Unknown sync target: ${t}`);
+			runState.targets.push({ target: t, status: "unknown" });
+			continue;
+		}
+		if (!isAllowed(t)) {
+			runState.targets.push({ target: t, status: "skipped" });
+			continue;
+		}
+		await trackTarget(t, async () => {
+			await runHook("before", t);
+			await map[t]();
+			await runHook("after", t);
+		});
+	}
+	await runHook("after");
+};
+
+// -- push / pull の実行 --
+// CLI (main) と createSync() の共通処理
+// 本番への push の確認、ドメイン確認、--site の解決、syncOptions と --check による可否判定、ロック、フック、結果の記録を行う
+// targets が null ならすべてのターゲット。ロックは失敗時も含めて終わりに解放する
+const runSync = async (direction, envName, targets, { dryRun = false, check = false, site = null, tables, skipSanitize = false, forceUnlock = false } = {}) => {
+	const env = config.environments[envName];
+	if (!env) {
+		fatal(`❌ Unknown environment: ${envName}`);
+	}
+	runState.environment = envName;
+
+	if (direction === "push" && envName === "production") {
+		logger.log("⚠️ You are about to PUSH to PRODUCTION!");
+		const ok = await confirm({ message: "Type exactly 'I WANT TO PUSH' to continue: ", expected: "i want to push", production: true });
+		if (!ok) abort();
+	}
+
+	if (!config.environments.local?.domain) {
+		fatal("❌ Local domain not defined in config.");
+	}
+	if (!env.domain) {
+		fatal(`❌ Domain not defined for environment ${envName}.`);
+	}
+
+	// --site: 両側で blog_id を解決・照合し、uploads と DB をそのサイトに限定
+	const blogId = site != null ? await resolveSitePair(direction, envName, env, String(site)) : null;
+
+	const map = {
+		...Object.fromEntries(Object.entries(FILE_TARGETS).map(([name, target]) => {
+			if (name === "plugins" && (target.mode === "wp-cli" || check)) {
+				return [name, () => syncPlugins(direction, envName, env, target, { check, dryRun })];
+			}
+			const siteTarget = blogId && name === "uploads" ? siteFileTarget(target, blogId) : target;
+			return [name, () => syncFileTarget(direction, env, siteTarget, siteTarget.dir, dryRun)];
+		})),
+		database: () => syncDatabase(direction, envName, env, dryRun, { tables, skipSanitize, site: blogId }),
+	};
+
+	// --check は読み取りのみなのでロックしない
+	const lock = check ? null : await acquireLock(envName, env, { force: forceUnlock, dryRun });
+	try {
+		await runTargets(map, targets ?? Object.keys(map), {
+			isAllowed: (t) => {
+				if (check && t !== "plugins") {
+					logger.log(`⏭️ Skipping "${t}" because --check only reports plugin differences.`);
+					return false;
+				}
+				const allowed = env.syncOptions?.[t]?.[direction];
+				if (allowed === false) {
+					logger.log(`⏭️ Skipping "${t}" (${direction}) because syncOptions disallows it.`);
+					return false;
+				}
+				return true;
+			},
+			runHook: (phase, t) => runHooks(envName, env, hookEventName(phase, direction), { target: t, dryRun }),
+		});
+	} finally {
+		if (lock) releaseLock(lock);
+	}
+};
+
+// -- 対話モード --
+// 番号または名前で 1 つ選ぶ（選択肢が 1 つならそのまま使う）
+const choose = async (label, options) => {
+	if (options.length === 1) {
+		logger.log(`${label}: ${options[0]}`);
+		return options[0];
+	}
+	options.forEach((o, i) => logger.log(`  ${i + 1}) ${o}`));
+	const ans = await ask(`${label} [1-${options.length}]: `);
+	const picked = options[Number(ans) - 1] || options.find((o) => o.toLowerCase() === ans);
+	if (!picked) {
+		fatal(`❌ Invalid selection: ${ans}`);
+	}
+	return picked;
+};
+
+// カンマ区切りの番号・名前、または all で複数選ぶ
+const chooseMany = async (label, options) => {
+	options.forEach((o, i) => logger.log(`  ${i + 1}) ${o}`));
+	const ans = await ask(`${label} (e.g. 1,3 or all): `);
+	if (ans === "all") return options;
+	const picked = ans.split(",").map((a) => a.trim()).filter(Boolean)
+		.map((a) => options[Number(a) - 1] || options.find((o) => o.toLowerCase() === a));
+	if (!picked.length || picked.includes(undefined)) {
+		fatal(`❌ Invalid selection: ${ans}`);
+	}
+	return [...new Set(picked)];
+};
+
+// 引数なしで起動したときのウィザード。同じ内容のコマンドライン引数を返す
+const runWizard = async () => {
+	logger.log("🧭 wp-sync guided mode (run with --help for all commands)\n");
+
+	const direction = await choose("Direction", ["push", "pull"]);
+
+	const envNames = Object.keys(config.environments).filter((e) => e !== "local");
+	if (!envNames.length) {
+		fatal(`❌ No remote environments defined (only "local" found). Please add staging/production/etc.`);
+	}
+	const envName = await choose("Environment", envNames);
+	const env = config.environments[envName];
+
+	// syncOptions で禁止されているターゲットは候補から外す
+	const available = [...Object.keys(FILE_TARGETS), "database"]
+		.filter((t) => env.syncOptions?.[t]?.[direction] !== false);
+	if (!available.length) {
+		fatal(`❌ syncOptions disallows every target for ${direction} on ${envName}.`);
+	}
+	const targets = await chooseMany("Targets", available);
+
+	const dryRun = (await ask("Dry run first? (y/N) ")) === "y";
+
+	const args = [direction, "-e", envName, ...targets, ...(dryRun ? ["-n"] : [])];
+	logger.log(`
+📝 Summary
+	${direction === "push" ? `local → ${envName}` : `${envName} → local`}${dryRun ? " (dry-run)" : ""}
+	Targets: ${targets.join(", ")}${targets.includes("database") && !dryRun ? `\n\t⚠️ The ${direction === "push" ? envName : "local"} database will be overwritten (a backup is taken first).` : ""}
+	Equivalent command: wp-sync ${args.join(" ")}
 `);
+	const ok = await confirm({ message: "Run now? (y/n) ", expected: "y" });
+	if (!ok) abort();
+	return args;
 };
 
 // -- メイン --
-const main = async () => {
+const main = async (argv = process.argv.slice(2)) => {
+	useContext(createContext({ config: loadConfig() }));
 
 	// util.parseArgs に置き換え
 	const { values, positionals, tokens } = parseArgs({
@@ -444,22 +2251,77 @@ const main = async () => {
 			d: { type: 'boolean', short: 'd' },
 			// replace (db:export用, string)
 			replace: { type: 'string', short: 'R' },
+			// db:restore 用
+			file: { type: 'string' },
+			latest: { type: 'boolean' },
+			from: { type: 'string', short: 'f' },
+			// status 用
+			json: { type: 'boolean' },
+			// DB 同期のテーブル絞り込み
+			tables: { type: 'string' },
+			// マルチサイトのサブサイト指定 (slug or blog_id)
+			site: { type: 'string' },
+			// プラグインの差分を報告のみ
+			check: { type: 'boolean' },
+			// history 用
+			target: { type: 'string' },
+			limit: { type: 'string' },
+			// rsync 転送チューニング
+			partial: { type: 'boolean' },
+			bwlimit: { type: 'string' },
+			checksum: { type: 'boolean' },
+			compress: { type: 'boolean' },
+			'no-compress': { type: 'boolean' },
+			'max-size': { type: 'string' },
+			since: { type: 'string' },
+			// サニタイズ
+			sanitize: { type: 'boolean' },
+			'skip-sanitize': { type: 'boolean' },
+			// 非対話 (CI) モード
+			yes: { type: 'boolean', short: 'y' },
+			'i-know-this-is-production': { type: 'boolean' },
+			// リモートロック
+			'force-unlock': { type: 'boolean' },
 		},
-		args: process.argv.slice(2),  // process.argv.slice(2) を args に
+		args: argv,  // 既定は process.argv.slice(2)（対話モードでは組み立てた引数）
 		allowPositionals: true,
 		strict: false,  // 未知引数をエラーにせず positionals に
 		tokens: true,  // 短縮形処理のため
 	});
 
-	const cmd = positionals[0];  // 位置引数の最初の要素 (push, pull, db:export)
+	const cmd = positionals[0];  // 位置引数の最初の要素 (push, pull, promote, status, db:export, db:restore, rollback, backups:prune, history)
 	const dryRun = values.dryRun || false;
 	const useAll = values.all ?? false;
 
+	// 引数なしかつ端末から実行された場合は対話モード
+	if (!cmd && !values.help && process.stdin.isTTY) {
+		return main(await runWizard());
+	}
+
 	if (!cmd || values.help) {
 		showHelp();
 		process.exit(0);
 	}
 
+	runState.yes = values.yes ?? false;
+	runState.transfer = {
+		partial: values.partial,
+		bwlimit: values.bwlimit,
+		checksum: values.checksum,
+		compress: values["no-compress"] ? false : values.compress,
+		maxSize: values["max-size"],
+		since: values.since,
+	};
+	runState.productionConfirmed = values["i-know-this-is-production"] ?? false;
+	// status は自前で JSON を出力する。それ以外は終了時に実行結果を出力し、進捗は stderr へ回す
+	runState.command = cmd;
+	runState.args = argv;
+	runState.dryRun = dryRun;
+	if (values.json && !["status", "diff", "history"].includes(cmd)) {
+		runState.json = true;
+		logger = { ...console, log: console.error };
+	}
+
 	if (cmd === "push" || cmd === "pull") {
 		let envName = values.env;  // -e or --env の値
 		let targets = positionals.slice(1);  // 位置引数の残り (envName 除外は後処理)
@@ -478,127 +2340,232 @@ const main = async () => {
 			}
 		}
 
-		const targetAliases = {
-			t: "themes",
-			p: "plugins",
-			m: "muplugins",
-			l: "languages",
-			u: "uploads",
-			d: "database",
-		};
+		targets = collectTargets(targets, values, tokens);
 
-		// 短縮フラグ処理 (values.t etc. で boolean フラグ)
-		Object.entries(targetAliases).forEach(([short, full]) => {
-			if (values[short]) {
-				targets.push(full);
-			}
+		await runSync(cmd, envName, useAll ? null : targets, {
+			dryRun,
+			check: values.check ?? false,
+			site: values.site ?? null,
+			tables: values.tables,
+			skipSanitize: values["skip-sanitize"] ?? false,
+			forceUnlock: values["force-unlock"] ?? false,
 		});
+	}
 
-		// 複数短縮形 (-tp) 処理: positionals に含まれる短縮形を flatMap (tokens で拡張可能だが簡易的に)
-		const expandedTargets = tokens
-			.filter(t => t.kind === "option" && /^-[a-z]+$/i.test(t.rawName))
-			.flatMap(t => t.rawName.slice(1).split("").map(ch => targetAliases[ch] || ch));
-
-		targets = Array.from(new Set([...targets, ...expandedTargets]));
-
-		const env = config.environments[envName];
-		if (!env) {
-			fatal(`❌ Unknown environment: ${envName}`);
+	if (cmd === "promote") {
+		if (!values.from) {
+			fatal("❌ -f <env> (source environment) is required for promote.");
 		}
-
-		if (cmd === "push" && envName === "production") {
-			console.log("⚠️ You are about to PUSH to PRODUCTION!");
-			const ok = await confirm({ message: "Type exactly 'I WANT TO PUSH' to continue: ", expected: "i want to push" });
-			if (!ok) process.exit(0);
+		const fromName = resolveEnvironment(values.from, config);
+		const toName = resolveEnvironment(values.env, config, { requireExplicit: true });
+		if (fromName === "local" || toName === "local") {
+			fatal("❌ promote works between remote environments. Use push/pull for local.");
 		}
-
-		const localFullDomain = config.environments.local?.domain;
-		if (!localFullDomain) {
-			fatal("❌ Local domain not defined in config.");
+		if (fromName === toName) {
+			fatal("❌ Source and destination environments must differ.");
 		}
-		const remoteFullDomain = env.domain;
-		if (!remoteFullDomain) {
-			fatal(`❌ Domain not defined for environment ${envName}.`);
+
+		const fromEnv = config.environments[fromName];
+		const toEnv = config.environments[toName];
+		runState.environment = toName;
+		runState.from = fromName;
+		for (const [name, e] of [[fromName, fromEnv], [toName, toEnv]]) {
+			if (!e.domain) {
+				fatal(`❌ Domain not defined for environment ${name}.`);
+			}
 		}
 
-		const localDomain = normalizeDomain(localFullDomain);
-		const remoteDomain = normalizeDomain(remoteFullDomain);
+		const targets = collectTargets(positionals.slice(1), values, tokens);
+
+		if (toName === "production") {
+			logger.log(`⚠️ You are about to PROMOTE ${fromName} to PRODUCTION!`);
+			const ok = await confirm({ message: "Type exactly 'I WANT TO PUSH' to continue: ", expected: "i want to push", production: true });
+			if (!ok) abort();
+		}
 
 		const map = {
-			themes: () => syncFiles(cmd, env, "wp-content/themes", path.posix.join(env.wpRoot, "wp-content/themes/"), [], false, dryRun),
-			plugins: () => syncFiles(cmd, env, "wp-content/plugins", path.posix.join(env.wpRoot, "wp-content/plugins/"), [], false, dryRun),
-			muplugins: () => {
-				const localDir = "wp-content/mu-plugins";
-				const remoteDir = path.posix.join(env.wpRoot, "wp-content/mu-plugins/");
-				return syncFiles(cmd, env, localDir, remoteDir, [], true, dryRun).catch((err) => {
-					if (err.message.includes("rsync exited with 23")) {
-						console.warn(`⚠️ Skipping mu-plugins: directory not found on remote (${remoteDir})`);
-						return;
-					}
-					throw err;
-				});
-			},
-			languages: () => syncFiles(cmd, env, "wp-content/languages", path.posix.join(env.wpRoot, "wp-content/languages/"), [], false, dryRun),
-			uploads: () => syncFiles(cmd, env, "wp-content/uploads", path.posix.join(env.wpRoot, "wp-content/uploads/"), [], false, dryRun),
-			database: () => syncDatabase(cmd, envName, env, localDomain, remoteDomain, dryRun),
+			...Object.fromEntries(Object.entries(FILE_TARGETS).map(([name, target]) => [
+				name,
+				() => promoteFiles(fromEnv, toEnv, target, dryRun),
+			])),
+			database: () => promoteDatabase(fromName, fromEnv, toName, toEnv, dryRun, { tables: values.tables }),
 		};
 
-		if (!targets.length && !useAll) {
-			fatal("❌ No sync targets specified. Use --all or list targets.");
+		await acquireLock(toName, toEnv, { force: values["force-unlock"], dryRun });
+		await acquireLock(fromName, fromEnv, { force: values["force-unlock"], dryRun });
+
+		// 取得元の pull と反映先の push の両方が許可されている場合のみ実行
+		await runTargets(map, useAll ? Object.keys(map) : targets, {
+			isAllowed: (t) => {
+				if (fromEnv.syncOptions?.[t]?.pull === false || toEnv.syncOptions?.[t]?.push === false) {
+					logger.log(`⏭️ Skipping "${t}" (promote) because syncOptions disallows it.`);
+					return false;
+				}
+				return true;
+			},
+			// 取得元では pull、反映先では push のフックを実行
+			runHook: async (phase, t) => {
+				await runHooks(fromName, fromEnv, hookEventName(phase, "pull"), { target: t, dryRun });
+				await runHooks(toName, toEnv, hookEventName(phase, "push"), { target: t, dryRun });
+			},
+		});
+	}
+
+	if (cmd === "db:export") {
+		if (!values.env) {
+			fatal("❌ Error: Please specify environment with -e");
 		}
+		runState.environment = values.env;
+		await trackTarget("database", () => exportDatabase(values.env, { replace: values.replace, sanitize: values.sanitize ?? false, dryRun }));
+	}
 
-		const selectedTargets = useAll ? Object.keys(map) : targets;
+	if (cmd === "status" || cmd === "diff") {
+		const envName = resolveEnvironment(values.env, config);
+		if (envName === "local") {
+			fatal("❌ status compares local with a remote environment. Use -e <env>.");
+		}
+		await showStatus(envName, config.environments[envName], { json: values.json ?? false });
+	}
 
-		for (const t of selectedTargets) {
-			if (!map[t]) {
-				console.warn(`⚠️ Unknown sync target: ${t}`);
-				continue;
-			}
-			const allowed = env.syncOptions?.[t]?.[cmd];
-			if (allowed === false) {
-				console.log(`⏭️ Skipping "${t}" (${cmd}) because syncOptions disallows it.`);
-				continue;
-			}
-			await map[t]();
+	if (cmd === "rollback") {
+		const envName = resolveEnvironment(values.env, config, { requireExplicit: true });
+		if (envName === "local") {
+			fatal("❌ rollback targets a remote environment. Use db:restore -e local for the local DB.");
 		}
+		runState.environment = envName;
+		await acquireLock(envName, config.environments[envName], { force: values["force-unlock"], dryRun });
+		await trackTarget("database", () => rollbackDatabase(envName, config.environments[envName], dryRun));
 	}
 
-	if (cmd === "db:export") {
-		const envName = values.env;
-		if (!envName) {
-			fatal("❌ Error: Please specify environment with -e");
+	if (cmd === "history") {
+		const limit = values.limit ? Number(values.limit) : undefined;
+		if (limit !== undefined && !(limit > 0)) {
+			fatal(`❌ --limit must be a positive number.`);
 		}
+		showHistory({
+			envName: values.env ? resolveEnvironment(values.env, config) : undefined,
+			target: values.target,
+			limit,
+			json: values.json ?? false,
+		});
+	}
+
+	if (cmd === "backups:prune") {
+		const envName = values.env ? resolveEnvironment(values.env, config) : undefined;
+		const pruned = pruneBackups({ envName, dryRun });
+		if (!pruned) logger.log("✅ Nothing to prune.");
+	}
+
+	if (cmd === "db:restore" || cmd === "db:import") {
+		const envName = resolveEnvironment(values.env, config, { requireExplicit: true });
 		const env = config.environments[envName];
-		if (!env) {
-			fatal(`❌ Error: Unknown environment '${envName}'`);
+		if (!env.domain) {
+			fatal(`❌ Domain not defined for environment ${envName}.`);
 		}
+		if (values.from && !config.environments[values.from]) {
+			fatal(`❌ Error: Unknown environment '${values.from}'. Available: ${Object.keys(config.environments).join(", ")}`);
+		}
+
+		runState.environment = envName;
+		runState.from = values.from ?? null;
+		await acquireLock(envName, env, { force: values["force-unlock"], dryRun });
+		await trackTarget("database", () => restoreDatabase(envName, env, {
+			file: values.file,
+			latest: values.latest ?? false,
+			from: values.from,
+			dryRun,
+		}));
+	}
+
+	// 実行後に保持ポリシーを適用
+	if (["push", "pull", "promote", "db:export", "db:restore", "db:import", "rollback"].includes(cmd)) {
+		pruneBackups({ dryRun });
+	}
+
+};
 
-		let replaceDomain = null;
-		if (values.replace !== undefined) {
-			if (typeof values.replace === "string") {
-				const targetEnv = config.environments[values.replace];
-				if (!targetEnv) {
-					fatal(`❌ Error: Unknown environment '${values.replace}'. Available: ${Object.keys(config.environments).join(", ")}`);
+// -- プログラムから使う API --
+/**
+ * sync.js をモジュールとして使うためのエントリポイント
+ * config を省略するとカレントディレクトリの sync.config.json を読む
+ * logger は console 互換 (log / warn / error)、confirm は { message, expected, production } を受け取り真偽値を返す
+ * 失敗時は SyncError（ConfigError / LockError / SyncAbortedError）を投げる
+ * syncFiles / syncDatabase は CLI の push / pull と同じ処理（本番確認・syncOptions・ロック・hooks）を通る（forceUnlock で --force-unlock 相当）
+ * コンテキストはモジュール内で共有するため、設定の異なるインスタンスを並行して実行しないこと
+ */
+export const createSync = (options = {}) => {
+	const context = createContext({ ...options, config: options.config ?? loadConfig() });
+	const withContext = (fn) => (...args) => {
+		useContext(context);
+		return fn(...args);
+	};
+	const requireDirection = (direction) => {
+		if (direction !== "push" && direction !== "pull") {
+			fatal(`❌ Unknown direction "${direction}". Use push or pull.`);
+		}
+	};
+
+	return {
+		resolveEnvironment: withContext((envName, { requireExplicit = false } = {}) =>
+			resolveEnvironment(envName, config, { requireExplicit })
+		),
+
+		// targets 省略時はすべてのファイルターゲット。CLI の push / pull と同じ runSync() で実行する
+		// check は plugins のバージョン差分を報告のみ（他のターゲットは飛ばす）、transfer は CLI の転送フラグと同じ（config より優先）
+		syncFiles: withContext(async (direction, envName, targets = Object.keys(FILE_TARGETS), { dryRun = false, site, check = false, transfer = {}, forceUnlock = false } = {}) => {
+			requireDirection(direction);
+			runState.transfer = transfer;
+			const names = [].concat(targets);
+			for (const name of names) {
+				if (!FILE_TARGETS[name]) {
+					fatal(`❌ Unknown sync target: ${name}`);
 				}
-				replaceDomain = targetEnv.domain;
-				console.log(`🔄 Replacing domain: ${env.domain} → ${replaceDomain}`);
-			} else {
-				fatal("❌ Error: --replace requires an environment name (e.g. --replace=staging)");
 			}
-		}
+			await runSync(direction, envName, names, { dryRun, site, check, forceUnlock });
+		}),
 
-		const dumpsDir = resolveBackupDir(envName, !!replaceDomain);
-		const filename = replaceDomain
-			? `${envName}-to-${values.replace}-${new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14)}.sql`
-			: `${envName}-${new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14)}.sql`;
-		const dumpPath = path.join(dumpsDir, filename);
-		const relativeDumpPath = path.relative(process.cwd(), dumpPath);
+		syncDatabase: withContext(async (direction, envName, { dryRun = false, tables, skipSanitize = false, site, forceUnlock = false } = {}) => {
+			requireDirection(direction);
+			await runSync(direction, envName, ["database"], { dryRun, tables, skipSanitize, site, forceUnlock });
+		}),
 
-		await exportDB(env, relativeDumpPath, dryRun, replaceDomain);
+		// 書き出したダンプのパスを返す（dryRun 時は null）
+		exportDB: withContext((envName, { replace, sanitize = false, dryRun = false } = {}) =>
+			exportDatabase(envName, { replace, sanitize, dryRun })
+		),
 
-		log(`✅ Export complete: ${dumpPath}`);
-	}
+		pruneBackups: withContext(({ envName, dryRun = false } = {}) => pruneBackups({ envName, dryRun })),
+	};
+};
 
+// -- CLI --
+const runCli = async () => {
+	process.on("exit", (code) => {
+		recordHistory(code);
+		printRunResult(code);
+		releaseLocks();
+	});
+	process.on("SIGINT", () => {
+		logger.error("\n🛑 Interrupted.");
+		process.exit(EXIT_CODES.aborted);
+	});
+
+	try {
+		await main();
+	} catch (err) {
+		if (err instanceof SyncAbortedError) {
+			logger.log(`🛑 ${err.message}`);
+		} else {
+			logger.error(`❌ ${err.message}`);
+			runState.error = err.message;
+		}
+		process.exit(err.exitCode ?? EXIT_CODES.failed);
+	}
 };
 
-main();
\ No newline at end of file
+// bin（node_modules/.bin のシンボリックリンク）経由でも判定できるよう実パスで比較する
+const isDirectlyExecuted = Boolean(process.argv[1]) && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href;
+
+if (isDirectlyExecuted) {
+	runCli();
+}
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * @author: phytocodes
+ * @see: https://github.com/phytocodes
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// --- 1. 定数 ---
+
+const UPLOADS_PREFIX = '/wp-content/uploads/';
+
+// キャッシュから返すときの Content-Type（それ以外は application/octet-stream）
+const MIME_TYPES = {
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg',
+	'.png': 'image/png',
+	'.gif': 'image/gif',
+	'.webp': 'image/webp',
+	'.avif': 'image/avif',
+	'.svg': 'image/svg+xml',
+	'.ico': 'image/x-icon',
+	'.pdf': 'application/pdf',
+	'.mp4': 'video/mp4',
+	'.webm': 'video/webm',
+	'.mp3': 'audio/mpeg',
+	'.woff': 'font/woff',
+	'.woff2': 'font/woff2',
+	'.json': 'application/json',
+	'.txt': 'text/plain',
+};
+
+// URL を書き換える対象のレスポンス
+const REWRITABLE_TYPE = /^(text\/|application\/(json|javascript|xml|rss\+xml|atom\+xml))/;
+
+// --- 2. ヘルパー ---
+
+/**
+ * uploads 配下のパスをキャッシュディレクトリ内の実パスに変換する
+ * ディレクトリ外を指す場合 (../ など) は null
+ */
+const resolveCachePath = (cacheDir, pathname) => {
+	let relative;
+	try {
+		relative = decodeURIComponent(pathname.slice(UPLOADS_PREFIX.length));
+	} catch {
+		return null;
+	}
+	const root = path.resolve(cacheDir);
+	const filePath = path.resolve(root, relative);
+	return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+/**
+ * sync.config.json の domain を URL にする
+ * "example.com" や "localhost:8888" のようにスキームが無い場合は defaultScheme を補う
+ */
+const parseOrigin = (value, defaultScheme) => {
+	const withScheme = /^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `${defaultScheme}://${value}`;
+	return new URL(withScheme);
+};
+
+/**
+ * 取得したファイルを一時ファイル経由でキャッシュに書き込む
+ * 途中で失敗しても壊れたファイルを残さない
+ */
+const writeCache = async (filePath, body) => {
+	await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+	const tmpPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+	try {
+		await fs.promises.writeFile(tmpPath, body);
+		await fs.promises.rename(tmpPath, filePath);
+	} catch (error) {
+		await fs.promises.rm(tmpPath, { force: true });
+		throw error;
+	}
+};
+
+/**
+ * wp-env へリクエストをそのまま転送する
+ * 書き換えのため圧縮は要求しない
+ */
+const forward = (req, target) => new Promise((resolve, reject) => {
+	const upstream = http.request(new URL(req.url, target), {
+		method: req.method,
+		headers: { ...req.headers, host: target.host, 'accept-encoding': 'identity' },
+	}, resolve);
+	upstream.on('error', reject);
+	req.pipe(upstream);
+});
+
+// --- 3. プロキシ本体 ---
+
+/**
+ * wp-env の前に置くプロキシサーバーを作成する（listen は呼び出し側で行う）
+ * ローカルに無い /wp-content/uploads/* はリモート環境から取得し、cacheDir があれば保存する
+ * HTML などに含まれる wp-env の URL はプロキシの URL に書き換える
+ *
+ * @param {object} options
+ * @param {string} options.target wp-env のオリジン (例: http://localhost:8888、スキーム省略時は http)
+ * @param {string} options.remote 画像を取得するリモートのオリジン (例: https://example.com、スキーム省略時は https)
+ * @param {string} [options.cacheDir] 取得した画像の保存先（省略時は保存しない）
+ * @param {(level: string, message: string) => void} [options.log]
+ */
+export function createUploadsProxy({ target, remote, cacheDir = null, log = () => {} }) {
+	const targetUrl = parseOrigin(target, 'http');
+	const remoteUrl = parseOrigin(remote, 'https');
+
+	const serveFromCache = async (res, filePath, method) => {
+		const stats = await fs.promises.stat(filePath).catch(() => null);
+		if (!stats?.isFile()) {
+			return false;
+		}
+		res.writeHead(200, {
+			'content-type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+			'content-length': stats.size,
+			'x-uploads-proxy': 'cache',
+		});
+		if (method === 'HEAD') {
+			res.end();
+		} else {
+			await pipeline(fs.createReadStream(filePath), res);
+		}
+		return true;
+	};
+
+	const serveFromRemote = async (req, res, filePath) => {
+		const url = new URL(req.url, remoteUrl);
+		const response = await fetch(url, { method: req.method, redirect: 'follow' });
+		if (!response.ok) {
+			log('warn', `Remote returned ${response.status} for ${url.href}`);
+			res.writeHead(response.status, { 'content-type': 'text/plain' });
+			res.end(`Not found locally or on ${remoteUrl.host}.`);
+			return;
+		}
+
+		// fetch は本文を伸長して返すため、content-encoding は転送せず、圧縮後の content-length も使わない
+		const headers = { 'x-uploads-proxy': 'remote' };
+		for (const name of ['content-type', 'last-modified', 'etag']) {
+			if (response.headers.has(name)) headers[name] = response.headers.get(name);
+		}
+		if (response.headers.has('content-length') && !response.headers.has('content-encoding')) {
+			headers['content-length'] = response.headers.get('content-length');
+		}
+		if (req.method === 'HEAD') {
+			res.writeHead(200, headers);
+			res.end();
+			return;
+		}
+
+		if (!filePath) {
+			res.writeHead(200, headers);
+			await pipeline(Readable.fromWeb(response.body), res);
+			log('info', `Proxied ${url.pathname} from ${remoteUrl.host}`);
+			return;
+		}
+		// 保存してから返し、続くリクエストがキャッシュに当たるようにする
+		const body = Buffer.from(await response.arrayBuffer());
+		await writeCache(filePath, body).then(
+			() => log('info', `Cached ${url.pathname} from ${remoteUrl.host}`),
+			(error) => log('warn', `Could not cache ${url.pathname}: ${error.message}`)
+		);
+		res.writeHead(200, { ...headers, 'content-length': body.length });
+		res.end(body);
+	};
+
+	const handleUpload = async (req, res) => {
+		const { pathname } = new URL(req.url, targetUrl);
+		const filePath = cacheDir ? resolveCachePath(cacheDir, pathname) : null;
+		if (filePath && await serveFromCache(res, filePath, req.method)) {
+			return;
+		}
+
+		const upstream = await forward(req, targetUrl);
+		if (upstream.statusCode !== 404) {
+			res.writeHead(upstream.statusCode, upstream.headers);
+			await pipeline(upstream, res);
+			return;
+		}
+		upstream.resume();
+		await serveFromRemote(req, res, filePath);
+	};
+
+	const handlePassThrough = async (req, res) => {
+		const upstream = await forward(req, targetUrl);
+		const proxyOrigin = `http://${req.headers.host}`;
+		const rewrite = (text) => text
+			.split(targetUrl.origin).join(proxyOrigin)
+			// JSON 内のエスケープされた URL (http:\/\/localhost:8888)
+			.split(targetUrl.origin.replace(/\//g, '\\/')).join(proxyOrigin.replace(/\//g, '\\/'));
+
+		const headers = { ...upstream.headers };
+		if (headers.location) {
+			headers.location = rewrite(headers.location);
+		}
+		if (!REWRITABLE_TYPE.test(headers['content-type'] || '')) {
+			res.writeHead(upstream.statusCode, headers);
+			await pipeline(upstream, res);
+			return;
+		}
+
+		const chunks = [];
+		for await (const chunk of upstream) {
+			chunks.push(chunk);
+		}
+		const body = Buffer.from(rewrite(Buffer.concat(chunks).toString('utf8')));
+		delete headers['transfer-encoding'];
+		headers['content-length'] = body.length;
+		res.writeHead(upstream.statusCode, headers);
+		res.end(body);
+	};
+
+	return http.createServer((req, res) => {
+		const isUpload = (req.method === 'GET' || req.method === 'HEAD') && req.url.startsWith(UPLOADS_PREFIX);
+		(isUpload ? handleUpload(req, res) : handlePassThrough(req, res)).catch((error) => {
+			log('error', `Proxy error for ${req.url}: ${error.message}`);
+			if (!res.headersSent) {
+				res.writeHead(502, { 'content-type': 'text/plain' });
+			}
+			res.end();
+		});
+	});
+}